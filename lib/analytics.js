@@ -0,0 +1,265 @@
+import { splitParagraphs, splitSentences } from './text.js';
+import { AWL_SUBLISTS } from './awl.js';
+import { CRITERIA, computeOverall } from './scoring.js';
+
+// --- Text Analytics ---
+// Deterministic measurements of a writing submission, computed locally on
+// every scored request. They are shown to the model as facts, returned next
+// to its scores, and used to cap scores the measurements rule out.
+
+export const TASK_MIN_WORDS = { essay: 250, graph: 150, letter: 150 };
+
+// A response shorter than `ratio` of the minimum cannot score above `cap` for
+// TA. Checked in order, so the first matching row wins.
+const UNDER_LENGTH_CAPS = [
+    { ratio: 0.5, cap: 4 },
+    { ratio: 0.8, cap: 5 },
+    { ratio: 1, cap: 6 }
+];
+
+// "May not write in paragraphs" is a Band 5 CC descriptor; below this many
+// words a single block is not worth penalising
+const UNPARAGRAPHED_CC_CAP = 5;
+const UNPARAGRAPHED_MIN_WORDS = 100;
+
+// MTLD (McCarthy & Jarvis, 2010) is unreliable on very short texts
+const MTLD_THRESHOLD = 0.72;
+const MTLD_MIN_TOKENS = 50;
+
+const REPEAT_MIN_COUNT = 4;
+const REPEAT_LIMIT = 10;
+const OVERUSED_DEVICE_COUNT = 3;
+
+const COHESIVE_DEVICES = {
+    addition: ['moreover', 'furthermore', 'in addition', 'additionally', 'besides', 'what is more'],
+    contrast: ['however', 'nevertheless', 'nonetheless', 'on the other hand', 'in contrast', 'by contrast', 'whereas', 'although', 'even though', 'despite', 'in spite of', 'conversely', 'on the contrary'],
+    cause_effect: ['therefore', 'consequently', 'as a result', 'as a consequence', 'thus', 'hence', 'because', 'due to', 'owing to', 'since', 'accordingly'],
+    example: ['for example', 'for instance', 'such as', 'namely', 'to illustrate', 'in particular'],
+    sequence: ['firstly', 'first of all', 'secondly', 'thirdly', 'finally', 'lastly', 'subsequently', 'meanwhile', 'afterwards', 'to begin with'],
+    conclusion: ['in conclusion', 'to conclude', 'to sum up', 'in summary', 'overall', 'all in all', 'on the whole'],
+    emphasis: ['indeed', 'in fact', 'clearly', 'undoubtedly', 'notably', 'significantly']
+};
+
+const STOPWORDS = new Set(`a about above after again against all am an and any are as at be because been before being
+below between both but by can could did do does doing down during each few for from further had has have having he her
+here hers herself him himself his how i if in into is it its itself just me more most my myself no nor not now of off on
+once only or other our ours ourselves out over own same she should so some such than that the their theirs them
+themselves then there these they this those through to too under until up very was we were what when where which while
+who whom why will with would you your yours yourself yourselves also may might must many much one ones people thing
+things get got make made however although`.split(/\s+/));
+
+// Word-family suffixes for matching AWL headwords: "analyse" covers analyses,
+// analysis, analytical... Up to three may stack (environ-ment-al-ly).
+const FAMILY_SUFFIX = /^(?:e|s|es|is|d|ed|ing|er|or|ion|ate|at|ation|it|ity|ive|ies|ied|al|ly|ment|ence|ency|ance|ancy|ant|ent|ic|ics|ical|ise|ist|ness|able|ably|ible|y|ous|ure|ial|ian|ary){0,3}$/;
+// Headwords with very short stems (job, sex, aid) only take inflections
+const INFLECTION_SUFFIX = /^(?:e|s|es|d|ed|ing)?$/;
+const MIN_FAMILY_STEM = 4;
+// Everyday words that a headword's stem plus a family suffix happens to spell
+// (creat-ure, factor-y, polic-e) but that are not in its family. Listed with
+// the inflected forms an essay is likely to use.
+const NOT_AWL_FAMILY = new Set([
+    'creature', 'creatures', 'factory', 'factories', 'police', 'policed', 'policing', 'texture', 'textures',
+    'charter', 'charters', 'affection', 'primitive', 'feed'
+]);
+
+const AWL_STEMS = new Map();
+AWL_SUBLISTS.forEach((headwords, index) => {
+    for (const headword of headwords) {
+        const stem = headword.length > MIN_FAMILY_STEM ? headword.replace(/[ey]$/, '') : headword;
+        if (!AWL_STEMS.has(stem)) AWL_STEMS.set(stem, { headword, sublist: index + 1 });
+    }
+});
+
+function tokenizeWords(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [])
+        .map(word => word.replace(/’/g, "'"));
+}
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function findAwlFamily(word) {
+    if (NOT_AWL_FAMILY.has(word)) return null;
+    // American spellings share the British headword's stem (analyze, utilize)
+    const normalized = word.replace(/([iy])z(e|ed|es|ing|ation|ations)$/, '$1s$2');
+    for (let length = normalized.length; length >= 3; length--) {
+        const entry = AWL_STEMS.get(normalized.slice(0, length));
+        if (!entry) continue;
+        const suffix = normalized.slice(length);
+        const allowed = length >= MIN_FAMILY_STEM ? FAMILY_SUFFIX : INFLECTION_SUFFIX;
+        if (allowed.test(suffix)) return entry;
+    }
+    return null;
+}
+
+function mtldPass(tokens) {
+    let factors = 0;
+    let types = new Set();
+    let count = 0;
+    for (const token of tokens) {
+        types.add(token);
+        count += 1;
+        if (types.size / count <= MTLD_THRESHOLD) {
+            factors += 1;
+            types = new Set();
+            count = 0;
+        }
+    }
+    // The unfinished last segment counts as a partial factor
+    if (count > 0) {
+        factors += (1 - types.size / count) / (1 - MTLD_THRESHOLD);
+    }
+    return factors > 0 ? tokens.length / factors : tokens.length;
+}
+
+// Mean of a forward and a backward pass, as in the original measure
+function computeMtld(tokens) {
+    if (tokens.length < MTLD_MIN_TOKENS) return null;
+    return round((mtldPass(tokens) + mtldPass([...tokens].reverse())) / 2, 1);
+}
+
+function analyzeSentences(text) {
+    const lengths = splitSentences(text).map(s => tokenizeWords(s.text).length).filter(n => n > 0);
+    if (lengths.length === 0) {
+        return { count: 0, meanLength: 0, stdDev: 0, variation: 0, shortest: 0, longest: 0 };
+    }
+    const mean = lengths.reduce((sum, n) => sum + n, 0) / lengths.length;
+    const stdDev = Math.sqrt(lengths.reduce((sum, n) => sum + (n - mean) ** 2, 0) / lengths.length);
+    return {
+        count: lengths.length,
+        meanLength: round(mean, 1),
+        stdDev: round(stdDev, 1),
+        // Coefficient of variation: around 0.3 or less reads as monotonous
+        variation: round(stdDev / mean),
+        shortest: Math.min(...lengths),
+        longest: Math.max(...lengths)
+    };
+}
+
+function analyzeAcademicWords(tokens) {
+    const bySublist = new Array(AWL_SUBLISTS.length).fill(0);
+    const families = new Map();
+    let count = 0;
+    for (const token of tokens) {
+        const entry = findAwlFamily(token);
+        if (!entry) continue;
+        count += 1;
+        bySublist[entry.sublist - 1] += 1;
+        families.set(entry.headword, (families.get(entry.headword) || 0) + 1);
+    }
+    return {
+        count,
+        coverage: tokens.length ? round(count / tokens.length * 100, 1) : 0,
+        families: families.size,
+        bySublist,
+        words: [...families.keys()]
+    };
+}
+
+function analyzeCohesion(text, wordCount) {
+    const lower = text.toLowerCase();
+    const devices = [];
+    const byCategory = {};
+
+    for (const [category, phrases] of Object.entries(COHESIVE_DEVICES)) {
+        byCategory[category] = 0;
+        for (const phrase of phrases) {
+            const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${phrase.replace(/ /g, '\\s+')}(?![\\p{L}\\p{N}])`, 'gu');
+            const count = (lower.match(pattern) || []).length;
+            if (count > 0) {
+                devices.push({ device: phrase, category, count });
+                byCategory[category] += count;
+            }
+        }
+    }
+
+    const total = devices.reduce((sum, d) => sum + d.count, 0);
+    return {
+        total,
+        perHundredWords: wordCount ? round(total / wordCount * 100, 1) : 0,
+        distinct: devices.length,
+        byCategory,
+        devices: devices.sort((a, b) => b.count - a.count),
+        overused: devices.filter(d => d.count >= OVERUSED_DEVICE_COUNT).map(d => d.device)
+    };
+}
+
+// Content words used REPEAT_MIN_COUNT times or more. Words taken from the
+// topic are flagged, since some repetition of them is expected.
+function findRepeatedWords(tokens, topic) {
+    const topicWords = new Set(tokenizeWords(topic || ''));
+    const counts = new Map();
+    for (const token of tokens) {
+        if (token.length < 3 || STOPWORDS.has(token) || /^\d+$/.test(token)) continue;
+        counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .filter(([, count]) => count >= REPEAT_MIN_COUNT)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, REPEAT_LIMIT)
+        .map(([word, count]) => ({ word, count, inTopic: topicWords.has(word) }));
+}
+
+// `taskType` is one of TASK_MIN_WORDS' keys; `topic` only affects the
+// repeated-word flags.
+export function analyzeText(text, { taskType, topic = null } = {}) {
+    const tokens = tokenizeWords(text);
+    const wordCount = tokens.length;
+    const types = new Set(tokens).size;
+    const minimumWords = TASK_MIN_WORDS[taskType] ?? null;
+
+    return {
+        taskType,
+        wordCount,
+        minimumWords,
+        underLength: minimumWords !== null && wordCount < minimumWords,
+        paragraphs: splitParagraphs(text).length,
+        sentences: analyzeSentences(text),
+        lexicalDiversity: {
+            tokens: wordCount,
+            types,
+            ttr: wordCount ? round(types / wordCount) : 0,
+            mtld: computeMtld(tokens)
+        },
+        academicWords: analyzeAcademicWords(tokens),
+        cohesion: analyzeCohesion(text, wordCount),
+        repeatedWords: findRepeatedWords(tokens, topic)
+    };
+}
+
+// Band ceilings the measurements justify, as { criterion: { cap, reason } }
+export function getScoreCaps(analytics) {
+    const caps = {};
+    const { wordCount, minimumWords, paragraphs } = analytics;
+
+    if (minimumWords && wordCount < minimumWords) {
+        const { cap } = UNDER_LENGTH_CAPS.find(row => wordCount < minimumWords * row.ratio);
+        caps.TA = { cap, reason: `${wordCount} words is under the ${minimumWords}-word minimum for this task` };
+    }
+    if (paragraphs <= 1 && wordCount >= UNPARAGRAPHED_MIN_WORDS) {
+        caps.CC = { cap: UNPARAGRAPHED_CC_CAP, reason: 'The response is not divided into paragraphs' };
+    }
+    return caps;
+}
+
+// Lowers any criterion above its cap and recomputes Overall. Returns the new
+// report and the adjustments made ([{ criterion, from, to, reason }]).
+export function applyScoreCaps(report, analytics) {
+    const adjustments = [];
+    const capped = { ...report };
+
+    for (const [criterion, { cap, reason }] of Object.entries(getScoreCaps(analytics))) {
+        const current = capped[criterion];
+        if (current && current.score > cap) {
+            adjustments.push({ criterion, from: current.score, to: cap, reason });
+            capped[criterion] = { ...current, score: cap };
+        }
+    }
+
+    if (adjustments.length > 0) {
+        capped.Overall = computeOverall(CRITERIA.map(key => capped[key].score));
+    }
+    return { report: capped, adjustments };
+}
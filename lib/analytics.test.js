@@ -0,0 +1,83 @@
+import { describe, expect, test } from 'bun:test';
+import { analyzeText, getScoreCaps, applyScoreCaps } from './analytics.js';
+
+function words(count) {
+    return Array.from({ length: count }, (_, k) => `word${k}`).join(' ');
+}
+
+function criterion(score) {
+    return { score, explanation: 'Explanation.', examples: [] };
+}
+
+describe('analyzeText', () => {
+    test('counts words, paragraphs and sentences', () => {
+        const analytics = analyzeText('The chart shows sales. They rose steadily.\nOverall, sales doubled.', { taskType: 'graph' });
+        expect(analytics).toMatchObject({ taskType: 'graph', wordCount: 10, minimumWords: 150, underLength: true, paragraphs: 2 });
+        expect(analytics.sentences.count).toBe(3);
+        expect(analytics.lexicalDiversity).toMatchObject({ tokens: 10, types: 9 });
+    });
+
+    test('finds cohesive devices and flags overused ones', () => {
+        const { cohesion } = analyzeText('However, it rose. However, it fell. However, it recovered. In addition, it grew.', { taskType: 'essay' });
+        expect(cohesion.total).toBe(4);
+        expect(cohesion.byCategory).toMatchObject({ contrast: 3, addition: 1 });
+        expect(cohesion.overused).toEqual(['however']);
+    });
+
+    test('flags repeated content words and whether the topic uses them', () => {
+        const { repeatedWords } = analyzeText('Cars are useful. Cars are cheap. Cars are fast. Cars are loud.', { taskType: 'essay', topic: 'Should cars be banned?' });
+        expect(repeatedWords).toEqual([{ word: 'cars', count: 4, inTopic: true }]);
+    });
+
+    test('matches Academic Word List families by stem and suffix', () => {
+        const { academicWords } = analyzeText('Researchers analyzed the environmental data and created analyses of creative approaches.', { taskType: 'essay' });
+        expect(academicWords.words).toEqual(['research', 'analyse', 'environment', 'data', 'create', 'approach']);
+        expect(academicWords.count).toBe(8);
+    });
+
+    test('does not count everyday words that only look like a family member', () => {
+        const { academicWords } = analyzeText('The creature in the factory was fed by the police.', { taskType: 'essay' });
+        expect(academicWords.words).toEqual([]);
+    });
+});
+
+describe('getScoreCaps', () => {
+    test('caps TA by how far a graph response falls short of 150 words', () => {
+        const cap = (wordCount) => getScoreCaps({ wordCount, minimumWords: 150, paragraphs: 3 }).TA?.cap;
+        expect(cap(74)).toBe(4);
+        expect(cap(75)).toBe(5);
+        expect(cap(119)).toBe(5);
+        expect(cap(120)).toBe(6);
+        expect(cap(149)).toBe(6);
+        expect(cap(150)).toBeUndefined();
+    });
+
+    test('uses the word count of the analysed text', () => {
+        expect(getScoreCaps(analyzeText(words(74), { taskType: 'graph' })).TA.cap).toBe(4);
+        expect(getScoreCaps(analyzeText(words(149), { taskType: 'graph' })).TA.cap).toBe(6);
+        expect(getScoreCaps(analyzeText(`${words(75)}\n${words(75)}`, { taskType: 'graph' }))).toEqual({});
+    });
+
+    test('caps CC for an unparagraphed response of 100 words or more', () => {
+        expect(getScoreCaps({ wordCount: 99, minimumWords: null, paragraphs: 1 })).toEqual({});
+        expect(getScoreCaps({ wordCount: 100, minimumWords: null, paragraphs: 1 }).CC.cap).toBe(5);
+    });
+});
+
+describe('applyScoreCaps', () => {
+    const report = { CC: criterion(7), TA: criterion(7), LR: criterion(7), GRA: criterion(7), Overall: 7 };
+
+    test('lowers a capped criterion and recomputes Overall', () => {
+        const { report: capped, adjustments } = applyScoreCaps(report, { wordCount: 100, minimumWords: 150, paragraphs: 3 });
+        expect(capped.TA.score).toBe(5);
+        expect(capped.Overall).toBe(6.5); // mean 6.5
+        expect(adjustments).toEqual([{ criterion: 'TA', from: 7, to: 5, reason: '100 words is under the 150-word minimum for this task' }]);
+        expect(report.TA.score).toBe(7);
+    });
+
+    test('leaves scores already under the cap alone', () => {
+        const { report: capped, adjustments } = applyScoreCaps({ ...report, TA: criterion(4), Overall: 6.5 }, { wordCount: 100, minimumWords: 150, paragraphs: 3 });
+        expect(adjustments).toEqual([]);
+        expect(capped.Overall).toBe(6.5);
+    });
+});
@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { authConfig } from './config.js';
+import { logger } from './logger.js';
+
+// --- Authentication ---
+// Every /api request must carry `Authorization: Bearer <token>` where the token
+// is either a server-issued API key (prefixed `ielts_`) or a JWT. Both resolve
+// to req.user = { id, plan, role, limits }.
+
+const API_KEY_PREFIX = 'ielts_';
+
+export const ROLES = ['student', 'teacher', 'admin'];
+
+export function generateApiKey() {
+    return API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function unauthorized(res, message) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: message });
+}
+
+function verifyJwt(token) {
+    const key = authConfig.jwtPublicKey || authConfig.jwtSecret;
+    if (!key) return null;
+
+    const claims = jwt.verify(token, key, {
+        algorithms: authConfig.jwtPublicKey ? ['RS256', 'ES256'] : ['HS256'],
+        issuer: authConfig.jwtIssuer,
+        audience: authConfig.jwtAudience
+    });
+    if (!claims.sub) {
+        throw new jwt.JsonWebTokenError('jwt subject missing');
+    }
+    return {
+        id: String(claims.sub),
+        plan: claims.plan || authConfig.defaultPlan,
+        role: ROLES.includes(claims.role) ? claims.role : 'student',
+        limits: claims.limits || null
+    };
+}
+
+export function createAuthMiddleware(store) {
+    return async function authenticate(req, res, next) {
+        if (authConfig.disabled) {
+            req.user = { id: 'dev', plan: authConfig.defaultPlan, role: 'admin', limits: null };
+            return next();
+        }
+
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        if (!match) {
+            return unauthorized(res, 'Missing bearer token');
+        }
+        const token = match[1].trim();
+
+        try {
+            if (token.startsWith(API_KEY_PREFIX)) {
+                const apiKey = await store.findApiKeyByHash(hashApiKey(token));
+                if (!apiKey) {
+                    return unauthorized(res, 'Invalid or revoked API key');
+                }
+                req.user = { id: apiKey.userId, plan: apiKey.plan, role: apiKey.role, limits: apiKey.limits };
+                return next();
+            }
+
+            const user = verifyJwt(token);
+            if (!user) {
+                return unauthorized(res, 'JWT authentication is not configured');
+            }
+            req.user = user;
+            return next();
+        } catch (error) {
+            // Also covers TokenExpiredError and NotBeforeError
+            if (error instanceof jwt.JsonWebTokenError) {
+                return unauthorized(res, `Invalid token: ${error.message}`);
+            }
+            logger.error('Error authenticating request', { error: error.message });
+            return res.status(500).json({ error: 'An error occurred while authenticating the request' });
+        }
+    };
+}
+
+// Teachers and admins may act on behalf of any student
+export function canAccessStudent(user, studentId) {
+    return user.role === 'teacher' || user.role === 'admin' || user.id === studentId;
+}
+
+// Guards /admin routes with the static ADMIN_TOKEN
+export function requireAdminToken(req, res, next) {
+    if (!authConfig.adminToken) {
+        return res.status(503).json({ error: 'Admin routes are disabled: ADMIN_TOKEN is not set' });
+    }
+    const header = req.get('Authorization') || '';
+    const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(authConfig.adminToken);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return unauthorized(res, 'Invalid admin token');
+    }
+    return next();
+}
@@ -0,0 +1,87 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from '../logger.js';
+
+// One JSON file per entry, named by its key, so the cache survives restarts
+// and can be shared by several processes on one host. Expired entries are
+// removed when read and on every purge. Once a write takes the directory past
+// maxEntries, expired entries are swept and then the least recently used ones
+// (by file mtime, which a hit refreshes) are removed, as the memory LRU does.
+export function createDiskCache({ dir, maxEntries }) {
+    fs.ensureDirSync(dir);
+
+    const entryFile = (key) => path.join(dir, `${key}.json`);
+
+    async function readEntries() {
+        const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+        return Promise.all(names.map(async name => {
+            const file = path.join(dir, name);
+            const entry = await fs.readJson(file).catch(() => null);
+            return { file, entry };
+        }));
+    }
+
+    async function prune() {
+        const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+        if (names.length <= maxEntries) return;
+
+        const now = Date.now();
+        const live = [];
+        for (const { file, entry } of await readEntries()) {
+            if (!entry || entry.expiresAt <= now) {
+                await fs.remove(file).catch(() => {});
+                continue;
+            }
+            const stat = await fs.stat(file).catch(() => null);
+            if (stat) live.push({ file, usedAt: stat.mtimeMs });
+        }
+        live.sort((x, y) => x.usedAt - y.usedAt);
+        for (const { file } of live.slice(0, Math.max(0, live.length - maxEntries))) {
+            await fs.remove(file).catch(err => logger.error('Failed to delete cache file', { file, error: err }));
+        }
+    }
+
+    return {
+        name: 'disk',
+
+        async get(key) {
+            const file = entryFile(key);
+            const entry = await fs.readJson(file).catch(() => null);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                await fs.remove(file).catch(() => {});
+                return null;
+            }
+            const now = new Date();
+            await fs.utimes(file, now, now).catch(() => {});
+            return entry;
+        },
+
+        // Write to a temp file and rename so readers never see half an entry
+        async set(key, entry) {
+            const file = entryFile(key);
+            const tmp = `${file}.${process.pid}.tmp`;
+            await fs.writeJson(tmp, entry);
+            await fs.move(tmp, file, { overwrite: true });
+            await prune();
+        },
+
+        async clear({ route = null } = {}) {
+            let removed = 0;
+            const now = Date.now();
+            for (const { file, entry } of await readEntries()) {
+                const expired = !entry || entry.expiresAt <= now;
+                if (!expired && route && entry.route !== route) continue;
+                await fs.remove(file).catch(err => logger.error('Failed to delete cache file', { file, error: err }));
+                // Expired entries are tidied up but only live ones count as purged
+                if (!expired) removed += 1;
+            }
+            return removed;
+        },
+
+        async stats() {
+            const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+            return { entries: names.length, maxEntries, dir };
+        }
+    };
+}
@@ -0,0 +1,49 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createDiskCache } from './disk.js';
+
+const dirs = [];
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-cache-'));
+    dirs.push(dir);
+    return dir;
+}
+
+afterEach(async () => {
+    await Promise.all(dirs.splice(0).map(dir => fs.remove(dir)));
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const entry = (value, ttlMs = 60_000) => ({ route: '/test', value, expiresAt: Date.now() + ttlMs });
+
+describe('createDiskCache', () => {
+    test('evicts the least recently used entries past maxEntries', async () => {
+        const cache = createDiskCache({ dir: tempDir(), maxEntries: 2 });
+        await cache.set('a', entry(1));
+        await sleep(20);
+        await cache.set('b', entry(2));
+        await sleep(20);
+        await cache.get('a');
+        await sleep(20);
+        await cache.set('c', entry(3));
+
+        expect((await cache.stats()).entries).toBe(2);
+        expect(await cache.get('b')).toBeNull();
+        expect((await cache.get('a')).value).toBe(1);
+        expect((await cache.get('c')).value).toBe(3);
+    });
+
+    test('sweeps expired entries before evicting live ones', async () => {
+        const cache = createDiskCache({ dir: tempDir(), maxEntries: 2 });
+        await cache.set('old', entry(1));
+        await sleep(20);
+        await cache.set('stale', entry(2, -1));
+        await cache.set('new', entry(3));
+
+        expect((await cache.stats()).entries).toBe(2);
+        expect((await cache.get('old')).value).toBe(1);
+        expect((await cache.get('new')).value).toBe(3);
+    });
+});
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { cacheConfig } from '../config.js';
+import { describeModelRoute } from '../providers/index.js';
+import { logger } from '../logger.js';
+import { createCounter } from '../metrics.js';
+import { createMemoryCache } from './memory.js';
+import { createDiskCache } from './disk.js';
+
+// --- Response Cache ---
+// Model results are content-addressed: the key is a hash of the route, the
+// models configured for the task, the prompt version and the normalised
+// input, so a new prompt version or model list never serves stale results.
+// Only successful results are stored. Every backend exposes
+//   get(key) -> { route, value, expiresAt } | null
+//   set(key, entry) / clear({ route }) -> number removed / stats()
+//
+// Identical requests that arrive while the first is still waiting on the model
+// share its upstream call instead of making their own.
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const cacheLookups = createCounter('response_cache_lookups_total', 'Response cache lookups by result (hit, coalesced or miss)', ['route', 'result']);
+
+let backend;
+const inflight = new Map(); // key -> { promise, controller, waiters }
+
+function getBackend() {
+    if (backend !== undefined) return backend;
+    switch (cacheConfig.driver) {
+        case 'memory':
+            backend = createMemoryCache({ maxEntries: cacheConfig.maxEntries });
+            break;
+        case 'disk':
+            backend = createDiskCache({ dir: path.resolve(ROOT_DIR, cacheConfig.dir), maxEntries: cacheConfig.maxEntries });
+            break;
+        case 'none':
+            backend = null;
+            break;
+        default:
+            throw new Error(`Server configuration error: unknown CACHE_DRIVER "${cacheConfig.driver}".`);
+    }
+    return backend;
+}
+
+// Differences that don't change what the model sees in any meaningful way:
+// line endings, Unicode composition, trailing spaces and surrounding blank lines
+function normalizeInput(value) {
+    if (typeof value === 'string') {
+        return value.normalize('NFC').replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').trim();
+    }
+    if (Array.isArray(value)) return value.map(normalizeInput);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalizeInput(value[key])]));
+    }
+    return value ?? null;
+}
+
+function cacheKey({ route, task, promptVersion, input }) {
+    const material = JSON.stringify({ route, models: describeModelRoute(task), promptVersion, input: normalizeInput(input) });
+    return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+function ttlFor(route) {
+    return cacheConfig.routeTtls[route] ?? cacheConfig.ttlMs;
+}
+
+// Joins the in-flight call for `key`, starting it if there is none. The shared
+// call is only cancelled once every request waiting on it has gone away.
+function shareCall(key, compute, signal) {
+    let flight = inflight.get(key);
+    const joined = Boolean(flight);
+    if (!flight) {
+        const controller = new AbortController();
+        flight = { controller, waiters: 0 };
+        flight.promise = Promise.resolve()
+            .then(() => compute(controller.signal))
+            .finally(() => inflight.delete(key));
+        inflight.set(key, flight);
+    }
+
+    flight.waiters += 1;
+    signal?.addEventListener('abort', () => {
+        flight.waiters -= 1;
+        if (flight.waiters === 0) flight.controller.abort(signal.reason);
+    }, { once: true });
+    return { promise: flight.promise, joined };
+}
+
+// Runs `compute(signal)` through the cache. `route`, `task` (for the model
+// list), `promptVersion` and `input` make up the key. Resolves to
+// { value, cached } where `cached` is true when this request made no upstream
+// call of its own: a stored result, or one shared with an identical request.
+export async function withResponseCache({ route, task, promptVersion, input, signal }, compute) {
+    const cache = getBackend();
+    if (!cache) return { value: await compute(signal), cached: false };
+
+    const key = cacheKey({ route, task, promptVersion, input });
+    try {
+        const entry = await cache.get(key);
+        if (entry) {
+            cacheLookups.inc({ route, result: 'hit' });
+            return { value: entry.value, cached: true };
+        }
+    } catch (error) {
+        // A broken cache should only cost a model call
+        logger.error('Cache read failed', { route, error: error.message });
+    }
+
+    const { promise, joined } = shareCall(key, async (sharedSignal) => {
+        const value = await compute(sharedSignal);
+        try {
+            await cache.set(key, { route, value, expiresAt: Date.now() + ttlFor(route) });
+        } catch (error) {
+            logger.error('Cache write failed', { route, error: error.message });
+        }
+        return value;
+    }, signal);
+    cacheLookups.inc({ route, result: joined ? 'coalesced' : 'miss' });
+    return { value: await promise, cached: joined };
+}
+
+// Removes every entry, or only those for one route. Resolves to the number removed.
+export async function purgeResponseCache({ route = null } = {}) {
+    const cache = getBackend();
+    return cache ? cache.clear({ route }) : 0;
+}
+
+export async function getResponseCacheStats() {
+    const cache = getBackend();
+    if (!cache) return { driver: 'none' };
+    return { driver: cache.name, ...await cache.stats(), inflight: inflight.size, defaultTtlMs: cacheConfig.ttlMs, routeTtls: cacheConfig.routeTtls };
+}
@@ -0,0 +1,143 @@
+import { describe, expect, test } from 'bun:test';
+import { withResponseCache, purgeResponseCache, getResponseCacheStats } from './index.js';
+
+// Every test uses its own route so stored results can't leak between them
+let routeCount = 0;
+function nextRoute() {
+    routeCount += 1;
+    return `/test/cache-${routeCount}`;
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+// A compute function that waits until released (or aborted) and counts its calls
+function controlledCompute(value) {
+    const gate = deferred();
+    const compute = async (signal) => {
+        compute.calls += 1;
+        compute.signals.push(signal);
+        await Promise.race([
+            gate.promise,
+            new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason), { once: true }))
+        ]);
+        return value;
+    };
+    compute.calls = 0;
+    compute.signals = [];
+    compute.release = gate.resolve;
+    return compute;
+}
+
+describe('withResponseCache', () => {
+    test('stores a result and serves it next time', async () => {
+        const route = nextRoute();
+        const request = { route, task: 'grammar', promptVersion: 1, input: { essay: 'Some text.' } };
+        let calls = 0;
+        const compute = async () => {
+            calls += 1;
+            return { answer: 42 };
+        };
+
+        expect(await withResponseCache(request, compute)).toEqual({ value: { answer: 42 }, cached: false });
+        expect(await withResponseCache(request, compute)).toEqual({ value: { answer: 42 }, cached: true });
+        expect(calls).toBe(1);
+    });
+
+    test('ignores line endings, trailing spaces and key order in the input', async () => {
+        const route = nextRoute();
+        let calls = 0;
+        const compute = async () => ++calls;
+
+        await withResponseCache({ route, task: 'grammar', promptVersion: 1, input: { essay: 'One. \r\nTwo.\n', mode: 'edits' } }, compute);
+        const second = await withResponseCache({ route, task: 'grammar', promptVersion: 1, input: { mode: 'edits', essay: 'One.\nTwo.' } }, compute);
+        expect(second).toEqual({ value: 1, cached: true });
+    });
+
+    test('keys on the prompt version', async () => {
+        const route = nextRoute();
+        let calls = 0;
+        const compute = async () => ++calls;
+
+        await withResponseCache({ route, task: 'grammar', promptVersion: 1, input: 'x' }, compute);
+        const second = await withResponseCache({ route, task: 'grammar', promptVersion: 2, input: 'x' }, compute);
+        expect(second).toEqual({ value: 2, cached: false });
+    });
+
+    test('does not store failures', async () => {
+        const route = nextRoute();
+        const request = { route, task: 'grammar', promptVersion: 1, input: 'x' };
+
+        await expect(withResponseCache(request, async () => { throw new Error('upstream'); })).rejects.toThrow('upstream');
+        expect(await withResponseCache(request, async () => 'ok')).toEqual({ value: 'ok', cached: false });
+    });
+
+    test('coalesces identical requests into one upstream call', async () => {
+        const request = { route: nextRoute(), task: 'grammar', promptVersion: 1, input: 'same' };
+        const compute = controlledCompute('shared');
+
+        const first = withResponseCache(request, compute);
+        const second = withResponseCache(request, compute);
+        await Bun.sleep(0);
+        compute.release();
+
+        expect(await first).toEqual({ value: 'shared', cached: false });
+        expect(await second).toEqual({ value: 'shared', cached: true });
+        expect(compute.calls).toBe(1);
+    });
+
+    test('keeps the shared call going while any request still waits on it', async () => {
+        const request = { route: nextRoute(), task: 'grammar', promptVersion: 1, input: 'same' };
+        const compute = controlledCompute('shared');
+        const leaving = new AbortController();
+        const staying = new AbortController();
+
+        const first = withResponseCache({ ...request, signal: leaving.signal }, compute);
+        const second = withResponseCache({ ...request, signal: staying.signal }, compute);
+        await Bun.sleep(0);
+        leaving.abort(new Error('first client left'));
+        expect(compute.signals[0].aborted).toBe(false);
+
+        compute.release();
+        expect(await second).toEqual({ value: 'shared', cached: true });
+        expect((await first).value).toBe('shared');
+    });
+
+    test('cancels the shared call once every request has gone', async () => {
+        const request = { route: nextRoute(), task: 'grammar', promptVersion: 1, input: 'same' };
+        const compute = controlledCompute('never');
+        const a = new AbortController();
+        const b = new AbortController();
+        const reason = new Error('everyone left');
+
+        const first = withResponseCache({ ...request, signal: a.signal }, compute);
+        const second = withResponseCache({ ...request, signal: b.signal }, compute);
+        await Bun.sleep(0);
+        a.abort(reason);
+        b.abort(reason);
+
+        expect(compute.signals[0].aborted).toBe(true);
+        const results = await Promise.allSettled([first, second]);
+        expect(results).toEqual([{ status: 'rejected', reason }, { status: 'rejected', reason }]);
+
+        // Nothing was stored, so the next request computes afresh
+        expect(await withResponseCache(request, async () => 'fresh')).toEqual({ value: 'fresh', cached: false });
+    });
+});
+
+describe('purgeResponseCache', () => {
+    test('removes only the given route', async () => {
+        const kept = nextRoute();
+        const purged = nextRoute();
+        await withResponseCache({ route: kept, task: 'grammar', promptVersion: 1, input: 'x' }, async () => 'a');
+        await withResponseCache({ route: purged, task: 'grammar', promptVersion: 1, input: 'x' }, async () => 'b');
+
+        expect(await purgeResponseCache({ route: purged })).toBe(1);
+        expect((await withResponseCache({ route: kept, task: 'grammar', promptVersion: 1, input: 'x' }, async () => 'new')).cached).toBe(true);
+        expect((await withResponseCache({ route: purged, task: 'grammar', promptVersion: 1, input: 'x' }, async () => 'new')).cached).toBe(false);
+        expect((await getResponseCacheStats()).driver).toBe('memory');
+    });
+});
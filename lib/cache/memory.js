@@ -0,0 +1,40 @@
+// In-process LRU. A Map keeps insertion order, so re-inserting on every read
+// moves an entry to the end and the first key is always the least recently used.
+export function createMemoryCache({ maxEntries }) {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            entries.delete(key);
+            if (entry.expiresAt <= Date.now()) return null;
+            entries.set(key, entry);
+            return entry;
+        },
+
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        async clear({ route = null } = {}) {
+            let removed = 0;
+            for (const [key, entry] of entries) {
+                if (route && entry.route !== route) continue;
+                entries.delete(key);
+                removed += 1;
+            }
+            return removed;
+        },
+
+        async stats() {
+            return { entries: entries.size, maxEntries };
+        }
+    };
+}
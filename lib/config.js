@@ -0,0 +1,200 @@
+// --- Model Routing Configuration ---
+// Each task has an ordered list of `provider:model` entries. The first entry is
+// tried first and the rest are fallbacks. Override any list with an env var,
+// e.g. MODELS_CRITERIA="local:llama3.1,openrouter:microsoft/phi-3.5-mini-128k-instruct".
+// A sub-task such as `criteria:graph` (MODELS_CRITERIA_GRAPH) falls back to
+// its parent task's list (MODELS_CRITERIA) when it has none of its own.
+
+const DEFAULT_MODEL_ROUTES = {
+    'criteria': ['openrouter:microsoft/phi-3.5-mini-128k-instruct'],
+    'criteria:graph': ['openrouter:nousresearch/hermes-3-llama-3.1-405b', 'openrouter:microsoft/phi-3.5-mini-128k-instruct'],
+    'grammar': ['openrouter:microsoft/phi-3.5-mini-128k-instruct'],
+    'improvement': ['openrouter:microsoft/phi-3.5-mini-128k-instruct'],
+    'speaking': ['openrouter:microsoft/phi-3.5-mini-128k-instruct'],
+    'transcription': ['openrouter:meta-llama/llama-4-maverick:free']
+};
+
+// Every model task with a built-in route; readiness checks each has a usable provider
+export const MODEL_TASKS = Object.keys(DEFAULT_MODEL_ROUTES);
+
+function envKeyForTask(task) {
+    return `MODELS_${task.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+function parseList(value) {
+    return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+export function getModelRoute(task) {
+    const candidates = [task];
+    if (task.includes(':')) candidates.push(task.split(':')[0]);
+
+    // An env override for the parent task wins over a built-in sub-task default
+    for (const key of candidates) {
+        const fromEnv = process.env[envKeyForTask(key)];
+        if (fromEnv) return parseList(fromEnv);
+    }
+    for (const key of candidates) {
+        if (DEFAULT_MODEL_ROUTES[key]) return DEFAULT_MODEL_ROUTES[key];
+    }
+    return [];
+}
+
+export const providerConfig = {
+    // Forces every task onto one provider (e.g. `mock` in tests), keeping model names
+    forceProvider: process.env.LLM_FORCE_PROVIDER || null,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '90000', 10),
+    openrouter: {
+        apiKey: process.env.OPENROUTER_API_KEY,
+        siteUrl: process.env.SITE_URL || 'http://localhost:3000',
+        siteName: process.env.SITE_NAME || 'Coolify Backend'
+    },
+    // Any OpenAI-compatible server, e.g. http://localhost:8080/v1 for llama.cpp
+    // or http://localhost:11434/v1 for Ollama
+    local: {
+        baseUrl: process.env.LOCAL_LLM_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY
+    }
+};
+
+// --- Prompt Templates ---
+// Templates live in PROMPTS_DIR (default: prompts/ in the repo). The newest
+// version of each template is used unless PROMPT_VERSIONS pins one, e.g.
+// PROMPT_VERSIONS='{"criteria/task2": 1}'.
+
+export const promptConfig = {
+    dir: process.env.PROMPTS_DIR || null,
+    pinnedVersions: parseJsonEnv('PROMPT_VERSIONS', {})
+};
+
+// --- Transcriber Uploads ---
+// Answer-sheet photos are auto-rotated, shrunk to fit maxDimension on the long
+// edge and re-encoded as JPEG before they reach the vision model. PDFs are
+// rendered to one image per page with poppler's pdftoppm.
+
+export const transcriberConfig = {
+    maxDimension: parseInt(process.env.TRANSCRIBER_MAX_DIMENSION || '2000', 10),
+    jpegQuality: parseInt(process.env.TRANSCRIBER_JPEG_QUALITY || '80', 10),
+    maxPages: parseInt(process.env.TRANSCRIBER_MAX_PAGES || '10', 10),
+    pdfDpi: parseInt(process.env.TRANSCRIBER_PDF_DPI || '150', 10),
+    pdftoppmBin: process.env.PDFTOPPM_BIN || 'pdftoppm',
+    timeoutMs: parseInt(process.env.TRANSCRIBER_PDF_TIMEOUT_MS || '60000', 10)
+};
+
+// --- Response Cache ---
+// Model results for the writing routes are cached by route, model list, prompt
+// version and normalised input. CACHE_DRIVER is `memory` (LRU, default), `disk`
+// or `none`; both stores keep at most CACHE_MAX_ENTRIES results. CACHE_TTLS
+// overrides CACHE_TTL_MS per route as JSON, e.g.
+// CACHE_TTLS='{"/api/grammar": 604800000}'.
+
+export const cacheConfig = {
+    driver: process.env.CACHE_DRIVER || 'memory',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10),
+    dir: process.env.CACHE_DIR || 'data/cache',
+    ttlMs: parseInt(process.env.CACHE_TTL_MS || String(24 * 60 * 60 * 1000), 10),
+    routeTtls: parseJsonEnv('CACHE_TTLS', {})
+};
+
+// --- Report Export ---
+// PDF reports embed DejaVu Sans, which covers Latin, Greek, Cyrillic and the
+// common symbols. For other scripts (e.g. a CJK topic or quote) point
+// REPORT_PDF_FONT, REPORT_PDF_FONT_BOLD and REPORT_PDF_FONT_ITALIC at TTF or
+// OTF files that cover them. Characters the font lacks are printed as "?".
+
+export const exportConfig = {
+    pdfFonts: {
+        regular: process.env.REPORT_PDF_FONT || null,
+        bold: process.env.REPORT_PDF_FONT_BOLD || null,
+        italic: process.env.REPORT_PDF_FONT_ITALIC || null
+    }
+};
+
+// --- Job Webhooks ---
+// Webhooks are POSTed from inside the network, so by default a webhook host
+// must resolve to public addresses only. JOB_WEBHOOK_ALLOWED_HOSTS (comma
+// separated, `*.example.com` for subdomains) instead limits webhooks to the
+// listed hosts, internal ones included.
+
+export const webhookConfig = {
+    allowedHosts: parseList(process.env.JOB_WEBHOOK_ALLOWED_HOSTS || '').map(host => host.toLowerCase())
+};
+
+// --- Speech-to-Text Configuration ---
+// SPEECH_DRIVER selects the backend for speaking recordings: `whisper` runs a
+// local whisper.cpp build (audio is converted to 16 kHz mono WAV with ffmpeg
+// first), `mock` returns a canned timestamped transcript.
+
+export const speechConfig = {
+    driver: process.env.SPEECH_DRIVER || 'whisper',
+    timeoutMs: parseInt(process.env.SPEECH_TIMEOUT_MS || '300000', 10),
+    ffmpegBin: process.env.FFMPEG_BIN || 'ffmpeg',
+    whisper: {
+        bin: process.env.WHISPER_BIN || 'whisper-cli',
+        model: process.env.WHISPER_MODEL || null,
+        language: process.env.WHISPER_LANGUAGE || 'en',
+        threads: parseInt(process.env.WHISPER_THREADS || '4', 10)
+    }
+};
+
+// --- Auth & Quota Configuration ---
+// Requests are grouped into cost classes that are limited separately. Each
+// limit is { perMinute, perDay }; a missing value means unlimited. Replace the
+// whole table with PLAN_LIMITS (JSON) or give a single user their own limits
+// when issuing their API key / in their JWT `limits` claim.
+
+const DEFAULT_PLAN_LIMITS = {
+    free: {
+        cheap: { perMinute: 10, perDay: 100 },
+        standard: { perMinute: 5, perDay: 30 },
+        expensive: { perMinute: 2, perDay: 10 }
+    },
+    pro: {
+        cheap: { perMinute: 60, perDay: 2000 },
+        standard: { perMinute: 30, perDay: 500 },
+        expensive: { perMinute: 10, perDay: 150 }
+    }
+};
+
+function parseJsonEnv(name, fallback) {
+    const raw = process.env[name];
+    if (!raw) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Server configuration error: ${name} is not valid JSON.`);
+    }
+}
+
+export const authConfig = {
+    // Only for local development: every request runs as an anonymous `dev` user
+    disabled: process.env.AUTH_DISABLED === 'true',
+    jwtSecret: process.env.JWT_SECRET || null,
+    // PEM public key for RS256/ES256 tokens from an external identity provider
+    jwtPublicKey: process.env.JWT_PUBLIC_KEY ? process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : null,
+    jwtIssuer: process.env.JWT_ISSUER || undefined,
+    jwtAudience: process.env.JWT_AUDIENCE || undefined,
+    adminToken: process.env.ADMIN_TOKEN || null,
+    defaultPlan: process.env.DEFAULT_PLAN || 'free',
+    planLimits: parseJsonEnv('PLAN_LIMITS', DEFAULT_PLAN_LIMITS)
+};
+
+// --- Observability ---
+// Logs are one JSON object per line (LOG_FORMAT=pretty for local work). With
+// LOG_REDACT on (the default) the fields listed in LOG_REDACT_FIELDS are
+// replaced by their length, so essays and model output never reach the logs.
+// MODEL_PRICES gives USD per million tokens for cost estimates when the
+// provider doesn't report a cost, e.g.
+// MODEL_PRICES='{"microsoft/phi-3.5-mini-128k-instruct": {"prompt": 0.1, "completion": 0.1}}'.
+
+const DEFAULT_REDACT_FIELDS = ['essay', 'text', 'topic', 'question', 'transcript', 'transcription', 'correction', 'corrected', 'original', 'improved', 'content', 'raw', 'prompt', 'messages'];
+
+export const observabilityConfig = {
+    logLevel: process.env.LOG_LEVEL || 'info',
+    logFormat: process.env.LOG_FORMAT || 'json',
+    redact: process.env.LOG_REDACT !== 'false',
+    redactFields: process.env.LOG_REDACT_FIELDS ? parseList(process.env.LOG_REDACT_FIELDS) : DEFAULT_REDACT_FIELDS,
+    // When set, GET /metrics requires `Authorization: Bearer <METRICS_TOKEN>`
+    metricsToken: process.env.METRICS_TOKEN || null,
+    modelPrices: parseJsonEnv('MODEL_PRICES', {})
+};
@@ -0,0 +1,211 @@
+import { CRITERIA } from '../scoring.js';
+import { TASK_TYPES } from '../prompts.js';
+import { getPromptRegistry } from '../templates.js';
+
+// Turns a combined report (see generateReport in server.js) into a flat list
+// of blocks that both renderers lay out the same way:
+//   { type: 'title', text } / { type: 'heading', text } / { type: 'paragraph', text }
+//   { type: 'quote', text } (an example, which already quotes the response)
+//   { type: 'list', items } / { type: 'note', text } (a section that failed)
+//   { type: 'table', columns: [{ header, width }], rows: [[text]] }
+// Column widths are fractions of the page width.
+
+// Task 2 calls TA "Task Response"; both Task 1 papers call it "Task Achievement"
+const CRITERION_NAMES = {
+    TA: 'Task Achievement',
+    CC: 'Coherence and Cohesion',
+    LR: 'Lexical Resource',
+    GRA: 'Grammatical Range and Accuracy'
+};
+
+export class ReportExportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReportExportError';
+    }
+}
+
+function criterionName(key, taskType) {
+    return key === 'TA' && taskType === 'essay' ? 'Task Response' : CRITERION_NAMES[key];
+}
+
+function formatBand(score) {
+    return typeof score === 'number' ? score.toFixed(1) : '-';
+}
+
+// Table cells and paragraphs take text; anything else in a row becomes the fallback
+function cellText(value, fallback = '') {
+    return typeof value === 'string' || typeof value === 'number' ? String(value) : fallback;
+}
+
+function formatCategory(category) {
+    return String(category || '').replace(/_/g, ' ');
+}
+
+// A section is { error } when it failed in generateReport
+function sectionError(name, section) {
+    if (!section) return { type: 'note', text: `The ${name} section is missing from this report.` };
+    return section.error ? { type: 'note', text: `The ${name} section could not be generated: ${section.error}` } : null;
+}
+
+function scoreBlocks(criteria, taskType) {
+    const failed = sectionError('band score', criteria);
+    if (failed) return [{ type: 'heading', text: 'Band scores' }, failed];
+
+    const blocks = [
+        { type: 'heading', text: 'Band scores' },
+        {
+            type: 'table',
+            columns: [{ header: 'Criterion', width: 0.75 }, { header: 'Band', width: 0.25 }],
+            rows: [
+                ...CRITERIA.map(key => [criterionName(key, taskType), formatBand(criteria[key]?.score)]),
+                ['Overall', formatBand(criteria.Overall)]
+            ]
+        }
+    ];
+    if (criteria.adjustments?.length) {
+        blocks.push({
+            type: 'list',
+            items: criteria.adjustments.map(a => `${cellText(a.criterion)} lowered from ${formatBand(a.from)} to ${formatBand(a.to)}: ${cellText(a.reason)}`)
+        });
+    }
+
+    for (const key of CRITERIA) {
+        const criterion = criteria[key];
+        if (!criterion) continue;
+        blocks.push({ type: 'heading', text: `${criterionName(key, taskType)} (${formatBand(criterion.score)})` });
+        blocks.push({ type: 'paragraph', text: cellText(criterion.explanation) });
+        for (const example of criterion.examples || []) {
+            blocks.push({ type: 'quote', text: example });
+        }
+    }
+    return blocks;
+}
+
+function grammarBlocks(grammar) {
+    const blocks = [{ type: 'heading', text: 'Grammar corrections' }];
+    const failed = sectionError('grammar', grammar);
+    if (failed) return [...blocks, failed];
+
+    const edits = grammar.edits || [];
+    if (edits.length === 0) {
+        return [...blocks, { type: 'paragraph', text: 'No grammar corrections were needed.' }];
+    }
+    return [
+        ...blocks,
+        {
+            type: 'table',
+            columns: [
+                { header: 'Original', width: 0.25 },
+                { header: 'Correction', width: 0.25 },
+                { header: 'Type', width: 0.18 },
+                { header: 'Reason', width: 0.32 }
+            ],
+            rows: edits.map(e => [cellText(e.original) || '(nothing)', cellText(e.replacement) || '(remove)', formatCategory(cellText(e.category)), cellText(e.reason)])
+        }
+    ];
+}
+
+function improvementBlocks(improvements) {
+    const blocks = [{ type: 'heading', text: 'Sentence improvements' }];
+    const failed = sectionError('sentence improvement', improvements);
+    if (failed) return [...blocks, failed];
+
+    const rows = improvements.improvements || [];
+    if (rows.length === 0) {
+        return [...blocks, { type: 'paragraph', text: 'No sentence improvements were suggested.' }];
+    }
+    return [
+        ...blocks,
+        {
+            type: 'table',
+            columns: [
+                { header: 'Your sentence', width: 0.4 },
+                { header: 'Improved sentence', width: 0.4 },
+                { header: 'Changes', width: 0.2 }
+            ],
+            rows: rows.map(i => [cellText(i.original), cellText(i.improved), (i.changeTypes || []).join(', ')])
+        }
+    ];
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// `value` may be absent; when present it must be an array whose items pass `isItem`
+function checkList(value, field, isItem, itemDescription) {
+    if (value === undefined || value === null) return;
+    if (!Array.isArray(value)) throw new ReportExportError(`${field} must be an array`);
+    if (!value.every(isItem)) throw new ReportExportError(`${field} must only contain ${itemDescription}`);
+}
+
+const isText = (value) => typeof value === 'string';
+const isTextOrMissing = (value) => value === undefined || value === null || typeof value === 'string' || typeof value === 'number';
+
+// The report comes from the client, so every part the blocks above read is
+// checked here and a malformed one is a 400 rather than a crash in a renderer
+function checkSections({ topic, criteria, grammar, improvements }) {
+    if (!isTextOrMissing(topic)) throw new ReportExportError('report.topic must be a string');
+
+    for (const [name, section] of Object.entries({ criteria, grammar, improvements })) {
+        if (section !== undefined && section !== null && !isObject(section)) {
+            throw new ReportExportError(`report.${name} must be an object`);
+        }
+    }
+
+    if (criteria && !criteria.error) {
+        for (const key of CRITERIA) {
+            const criterion = criteria[key];
+            if (criterion === undefined || criterion === null) continue;
+            if (!isObject(criterion)) throw new ReportExportError(`report.criteria.${key} must be an object`);
+            if (!isTextOrMissing(criterion.explanation)) throw new ReportExportError(`report.criteria.${key}.explanation must be a string`);
+            checkList(criterion.examples, `report.criteria.${key}.examples`, isText, 'strings');
+        }
+        checkList(criteria.adjustments, 'report.criteria.adjustments', isObject, 'objects');
+    }
+    if (grammar && !grammar.error) {
+        checkList(grammar.edits, 'report.grammar.edits', isObject, 'objects');
+    }
+    if (improvements && !improvements.error) {
+        checkList(improvements.improvements, 'report.improvements.improvements', isObject, 'objects');
+        for (const [index, row] of (improvements.improvements || []).entries()) {
+            checkList(row.changeTypes, `report.improvements.improvements[${index}].changeTypes`, isText, 'strings');
+        }
+    }
+}
+
+// Checks what the renderers rely on; anything else is left to show as-is
+export function buildReportDocument(report) {
+    if (!report || typeof report !== 'object' || Array.isArray(report)) {
+        throw new ReportExportError('report must be the object returned by a report route');
+    }
+    if (!TASK_TYPES.includes(report.taskType)) {
+        throw new ReportExportError(`report.taskType must be one of: ${TASK_TYPES.join(', ')}`);
+    }
+    if (typeof report.essay !== 'string' || !report.essay.trim()) {
+        throw new ReportExportError('report.essay is missing');
+    }
+    if (!report.criteria && !report.grammar && !report.improvements) {
+        throw new ReportExportError('report has no criteria, grammar or improvements section');
+    }
+    checkSections(report);
+
+    const { taskType, promptTask, topic, essay, generatedAt } = report;
+    const label = getPromptRegistry()[promptTask]?.label || taskType;
+    const details = [label];
+    if (generatedAt && !Number.isNaN(Date.parse(generatedAt))) {
+        details.push(`Generated ${new Date(generatedAt).toISOString().slice(0, 10)}`);
+    }
+
+    return [
+        { type: 'title', text: 'IELTS Writing Report' },
+        { type: 'paragraph', text: details.join(' | ') },
+        ...(topic ? [{ type: 'heading', text: 'Task' }, { type: 'paragraph', text: String(topic) }] : []),
+        ...scoreBlocks(report.criteria, taskType),
+        ...grammarBlocks(report.grammar),
+        ...improvementBlocks(report.improvements),
+        { type: 'heading', text: 'Submitted response' },
+        ...essay.split(/\n\s*\n/).map(text => ({ type: 'paragraph', text: text.trim() })).filter(b => b.text)
+    ];
+}
@@ -0,0 +1,72 @@
+import { describe, expect, test } from 'bun:test';
+import { buildReportDocument, ReportExportError } from './document.js';
+import { exportReport } from './index.js';
+
+function criterion(score) {
+    return { score, explanation: 'Explanation.', examples: ['"quote" - description.'] };
+}
+
+const report = {
+    taskType: 'essay',
+    promptTask: 'task2',
+    topic: 'Some people think...',
+    essay: 'First paragraph.\n\nSecond paragraph.',
+    criteria: { CC: criterion(6), TA: criterion(6.5), LR: criterion(7), GRA: criterion(6), Overall: 6.5, adjustments: [] },
+    grammar: { edits: [{ original: 'go', replacement: 'goes', category: 'agreement', reason: 'Third person' }] },
+    improvements: { error: 'AI service returned invalid improvements', status: 502 },
+    generatedAt: '2026-10-01T09:00:00.000Z'
+};
+
+describe('buildReportDocument', () => {
+    test('lays out every section, noting the ones that failed', () => {
+        const blocks = buildReportDocument(report);
+        const headings = blocks.filter(b => b.type === 'heading').map(b => b.text);
+        expect(headings).toContain('Task Response (6.5)');
+        expect(headings).toContain('Grammar corrections');
+        expect(blocks.find(b => b.type === 'note').text).toBe('The sentence improvement section could not be generated: AI service returned invalid improvements');
+        expect(blocks.filter(b => b.type === 'paragraph').slice(-2).map(b => b.text)).toEqual(['First paragraph.', 'Second paragraph.']);
+    });
+
+    test('rejects sections of the wrong shape', () => {
+        const malformed = [
+            [{ grammar: { edits: 'no' } }, 'report.grammar.edits must be an array'],
+            [{ grammar: { edits: ['no'] } }, 'report.grammar.edits must only contain objects'],
+            [{ improvements: { improvements: {} } }, 'report.improvements.improvements must be an array'],
+            [{ improvements: { improvements: [{ original: 'a', changeTypes: 'clarity' }] } }, 'report.improvements.improvements[0].changeTypes must be an array'],
+            [{ criteria: { ...report.criteria, LR: 'seven' } }, 'report.criteria.LR must be an object'],
+            [{ criteria: { ...report.criteria, CC: { score: 6, examples: 'one' } } }, 'report.criteria.CC.examples must be an array'],
+            [{ criteria: [] }, 'report.criteria must be an object'],
+            [{ topic: { text: 'x' } }, 'report.topic must be a string']
+        ];
+        for (const [change, message] of malformed) {
+            expect(() => buildReportDocument({ ...report, ...change })).toThrow(new ReportExportError(message));
+        }
+    });
+
+    test('rejects a report without its essay or any section', () => {
+        expect(() => buildReportDocument({ taskType: 'essay', essay: 'hi' })).toThrow(ReportExportError);
+        expect(() => buildReportDocument({ ...report, essay: '' })).toThrow('report.essay is missing');
+    });
+});
+
+describe('exportReport', () => {
+    test('renders a PDF and a DOCX', async () => {
+        const pdf = await exportReport(report, 'pdf');
+        expect(pdf.buffer.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(pdf.filename).toBe('ielts-essay-report-2026-10-01.pdf');
+
+        const docx = await exportReport(report, 'docx');
+        expect(docx.buffer.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    test('embeds a Unicode font in the PDF', async () => {
+        const { buffer } = await exportReport({ ...report, topic: 'Тема ✓ “quoted”' }, 'pdf');
+        const pdf = buffer.toString('latin1');
+        expect(pdf).toContain('+DejaVuSans');
+        expect(pdf).not.toContain('/Helvetica');
+    });
+
+    test('rejects unknown formats', async () => {
+        await expect(exportReport(report, 'odt')).rejects.toThrow('format must be one of: pdf, docx');
+    });
+});
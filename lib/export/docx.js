@@ -0,0 +1,52 @@
+import { Document, HeadingLevel, Packer, Paragraph, ShadingType, Table, TableCell, TableRow, TextRun, WidthType } from 'docx';
+
+const HEADER_FILL = 'E8EEF4';
+const NOTE_COLOR = 'AA3333';
+
+function cell(text, { width, header = false }) {
+    return new TableCell({
+        width: { size: Math.round(width * 100), type: WidthType.PERCENTAGE },
+        shading: header ? { type: ShadingType.CLEAR, color: 'auto', fill: HEADER_FILL } : undefined,
+        children: [new Paragraph({ children: [new TextRun({ text: String(text ?? ''), bold: header, size: 19 })] })]
+    });
+}
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'title':
+            return [new Paragraph({ text: block.text, heading: HeadingLevel.TITLE })];
+        case 'heading':
+            return [new Paragraph({ text: block.text, heading: HeadingLevel.HEADING_2, spacing: { before: 240 } })];
+        case 'paragraph':
+            return [new Paragraph({ text: block.text, spacing: { after: 120 } })];
+        case 'quote':
+            return [new Paragraph({ children: [new TextRun({ text: block.text, italics: true })], indent: { left: 360 }, spacing: { after: 80 } })];
+        case 'list':
+            return block.items.map(item => new Paragraph({ text: item, bullet: { level: 0 } }));
+        case 'note':
+            return [new Paragraph({ children: [new TextRun({ text: block.text, italics: true, color: NOTE_COLOR })] })];
+        case 'table':
+            return [
+                new Table({
+                    width: { size: 100, type: WidthType.PERCENTAGE },
+                    rows: [
+                        new TableRow({ tableHeader: true, children: block.columns.map(c => cell(c.header, { width: c.width, header: true })) }),
+                        ...block.rows.map(row => new TableRow({ children: row.map((text, i) => cell(text, { width: block.columns[i].width })) }))
+                    ]
+                }),
+                new Paragraph({ text: '' })
+            ];
+        default:
+            throw new Error(`Unknown report block type "${block.type}"`);
+    }
+}
+
+// Resolves to a Buffer holding the .docx file
+export function renderReportDocx(blocks, { title }) {
+    const doc = new Document({
+        title,
+        creator: 'IELTS feedback',
+        sections: [{ children: blocks.flatMap(renderBlock) }]
+    });
+    return Packer.toBuffer(doc);
+}
@@ -0,0 +1,29 @@
+import { buildReportDocument, ReportExportError } from './document.js';
+import { renderReportPdf } from './pdf.js';
+import { renderReportDocx } from './docx.js';
+
+export { ReportExportError } from './document.js';
+
+// --- Report Export ---
+// Renders a combined report as a printable file. Both formats come from the
+// same block list (see document.js), so they always carry the same content:
+// band scores, criterion explanations with quoted examples, grammar edits and
+// the sentence improvement table.
+
+export const EXPORT_FORMATS = {
+    pdf: { contentType: 'application/pdf', render: renderReportPdf },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', render: renderReportDocx }
+};
+
+// Resolves to { buffer, contentType, filename }
+export async function exportReport(report, format) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new ReportExportError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    const blocks = buildReportDocument(report);
+    const day = (report.generatedAt && !Number.isNaN(Date.parse(report.generatedAt)) ? new Date(report.generatedAt) : new Date())
+        .toISOString().slice(0, 10);
+    const buffer = await exporter.render(blocks, { title: `IELTS ${report.taskType} report` });
+    return { buffer, contentType: exporter.contentType, filename: `ielts-${report.taskType}-report-${day}.${format}` };
+}
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import * as fontkit from 'fontkit';
+import PDFDocument from 'pdfkit';
+import { exportConfig } from '../config.js';
+
+// A4 with an embedded Unicode font: the standard PDF fonts only cover
+// WinAnsi, so a "✓" or a Cyrillic quote would come out as garbage
+const MARGIN = 50;
+const HEADER_FILL = '#e8eef4';
+const NOTE_COLOR = '#a33';
+// Printed in place of characters the font has no glyph for
+const MISSING_GLYPH = '?';
+
+const require = createRequire(import.meta.url);
+
+const DEFAULT_FONTS = {
+    regular: 'dejavu-fonts-ttf/ttf/DejaVuSans.ttf',
+    bold: 'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf',
+    italic: 'dejavu-fonts-ttf/ttf/DejaVuSans-Oblique.ttf'
+};
+
+let fonts = null;
+
+// Read once: { regular, bold, italic } -> { name, data, font } where `font`
+// (fontkit) answers which characters the file can draw
+function loadFonts() {
+    if (fonts) return fonts;
+    fonts = Object.fromEntries(Object.entries(DEFAULT_FONTS).map(([style, fallback]) => {
+        const data = fs.readFileSync(exportConfig.pdfFonts[style] || require.resolve(fallback));
+        return [style, { name: `report-${style}`, data, font: fontkit.create(data) }];
+    }));
+    return fonts;
+}
+
+// Swaps characters the font can't draw for MISSING_GLYPH so they show up as
+// visibly missing rather than as the wrong letters
+function printable(text, { font }) {
+    return Array.from(String(text), char => /\s/.test(char) || font.hasGlyphForCodePoint(char.codePointAt(0)) ? char : MISSING_GLYPH).join('');
+}
+
+function renderBlock(doc, block, width, { regular, bold, italic }) {
+    switch (block.type) {
+        case 'title':
+            doc.font(bold.name).fontSize(20).text(printable(block.text, bold)).moveDown(0.3);
+            break;
+        case 'heading':
+            doc.moveDown(0.6).font(bold.name).fontSize(13).text(printable(block.text, bold)).moveDown(0.3);
+            break;
+        case 'paragraph':
+            doc.font(regular.name).fontSize(10.5).text(printable(block.text, regular), { align: 'left' }).moveDown(0.4);
+            break;
+        case 'quote':
+            doc.font(italic.name).fontSize(10).text(printable(block.text, italic), doc.page.margins.left + 15, doc.y, { width: width - 15 }).moveDown(0.3);
+            doc.x = doc.page.margins.left;
+            break;
+        case 'list':
+            doc.font(regular.name).fontSize(10).list(block.items.map(item => printable(item, regular)), { bulletRadius: 2 }).moveDown(0.4);
+            break;
+        case 'note':
+            doc.font(italic.name).fontSize(10).fillColor(NOTE_COLOR).text(printable(block.text, italic)).fillColor('black').moveDown(0.4);
+            break;
+        case 'table':
+            doc.font(regular.name).fontSize(9.5).table({
+                columnStyles: block.columns.map(c => ({ width: Math.floor(width * c.width) })),
+                rowStyles: (i) => i === 0 ? { font: { src: bold.name }, backgroundColor: HEADER_FILL } : {},
+                defaultStyle: { padding: 4, borderColor: '#999' },
+                data: [
+                    block.columns.map(c => printable(c.header, bold)),
+                    ...block.rows.map(row => row.map(text => printable(text, regular)))
+                ]
+            });
+            doc.moveDown(0.6);
+            break;
+        default:
+            throw new Error(`Unknown report block type "${block.type}"`);
+    }
+}
+
+// Resolves to a Buffer holding the PDF
+export function renderReportPdf(blocks, { title }) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title, Creator: 'IELTS feedback' } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        try {
+            const styles = loadFonts();
+            for (const { name, data } of Object.values(styles)) doc.registerFont(name, data);
+            for (const block of blocks) renderBlock(doc, block, width, styles);
+        } catch (error) {
+            reject(error);
+        }
+        doc.end();
+    });
+}
@@ -0,0 +1,246 @@
+import { extractJson } from './json.js';
+import { normalizeForMatch } from './text.js';
+
+// --- Grammar Edits ---
+// The model returns a corrected text plus its own list of edits. We never use
+// offsets from the model: the edits we return come from a word-level diff of
+// the original against the corrected text, and the model's list is only used
+// to label each diff hunk with a category and reason.
+
+export const GRAMMAR_CATEGORIES = ['article', 'tense', 'agreement', 'punctuation', 'spelling', 'word_choice'];
+
+const ARTICLES = new Set(['a', 'an', 'the']);
+
+// Irregular pairs for the tense/agreement fallbacks
+const AGREEMENT_PAIRS = [['is', 'are'], ['was', 'were'], ['has', 'have'], ['does', 'do'], ['this', 'these'], ['that', 'those']];
+const TENSE_PAIRS = [
+    ['is', 'was'], ['are', 'were'], ['has', 'had'], ['have', 'had'], ['do', 'did'], ['does', 'did'], ['will', 'would'],
+    ['can', 'could'], ['go', 'went'], ['goes', 'went'], ['get', 'got'], ['make', 'made'], ['take', 'took'],
+    ['see', 'saw'], ['give', 'gave'], ['come', 'came'], ['become', 'became'], ['grow', 'grew'], ['rise', 'rose'],
+    ['fall', 'fell'], ['increase', 'increased'], ['decrease', 'decreased']
+];
+
+export class GrammarParseError extends Error {
+    constructor(raw) {
+        super('AI service returned an invalid grammar correction');
+        this.name = 'GrammarParseError';
+        this.raw = raw;
+    }
+}
+
+// Words (with internal apostrophes/hyphens), numbers and single punctuation marks
+export function tokenize(text) {
+    const tokens = [];
+    const pattern = /\p{L}[\p{L}\p{N}'’-]*|\p{N}+(?:[.,]\p{N}+)*%?|[^\s\p{L}\p{N}]/gu;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// Upper bound on the LCS table (cells) so a huge submission can't exhaust memory
+const MAX_DIFF_CELLS = 16 * 1024 * 1024;
+
+// A kept word counts for more than a kept punctuation mark, so when there is a
+// choice the diff keeps "however" and edits the commas around it rather than
+// keeping a comma and rewriting the word ("apple, however the" -> "apple; however, the")
+function matchWeight(token) {
+    return /[\p{L}\p{N}]/u.test(token.text) ? 2 : 1;
+}
+
+// Weighted longest-common-subsequence diff over tokens. Returns hunks of
+// { aFrom, aTo, bFrom, bTo } token ranges that differ; equal runs are skipped.
+function diffTokens(a, b) {
+    // Corrections leave most of the text alone, so strip the common ends first
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix].text === b[prefix].text) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix].text === b[b.length - 1 - suffix].text) suffix++;
+
+    const n = a.length - prefix - suffix;
+    const m = b.length - prefix - suffix;
+    if (n === 0 && m === 0) return [];
+    if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+        return [{ aFrom: prefix, aTo: prefix + n, bFrom: prefix, bTo: prefix + m }];
+    }
+
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    const same = (i, j) => a[prefix + i].text === b[prefix + j].text;
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i * width + j] = same(i, j)
+                ? lcs[(i + 1) * width + j + 1] + matchWeight(a[prefix + i])
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const hunks = [];
+    let current = null;
+    let i = 0;
+    let j = 0;
+    const flush = () => {
+        if (current) hunks.push(current);
+        current = null;
+    };
+
+    while (i < n || j < m) {
+        if (i < n && j < m && same(i, j)) {
+            flush();
+            i++;
+            j++;
+            continue;
+        }
+        current ||= { aFrom: prefix + i, aTo: prefix + i, bFrom: prefix + j, bTo: prefix + j };
+        if (j < m && (i === n || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+            j++;
+            current.bTo = prefix + j;
+        } else {
+            i++;
+            current.aTo = prefix + i;
+        }
+    }
+    flush();
+    return hunks;
+}
+
+// "i has a" -> "I have an" is three separate mistakes, not one. Only split when
+// the spacing between the words is unchanged, so the per-word edits can't
+// overlap on a gap that both of them rewrite.
+function splitHunk(hunk, original, corrected, a, b) {
+    const length = hunk.aTo - hunk.aFrom;
+    if (length < 2 || length !== hunk.bTo - hunk.bFrom) return [hunk];
+    for (let k = 1; k < length; k++) {
+        const gapA = original.slice(a[hunk.aFrom + k - 1].end, a[hunk.aFrom + k].start);
+        const gapB = corrected.slice(b[hunk.bFrom + k - 1].end, b[hunk.bFrom + k].start);
+        if (gapA !== gapB) return [hunk];
+    }
+    return Array.from({ length }, (_, k) => ({ aFrom: hunk.aFrom + k, aTo: hunk.aFrom + k + 1, bFrom: hunk.bFrom + k, bTo: hunk.bFrom + k + 1 }));
+}
+
+// Turns a token hunk into a character span of the original plus the text to
+// splice in, such that original.slice(0, start) + replacement + original.slice(end)
+// reproduces the corrected wording around that spot. The hunk covers everything
+// between the unchanged tokens on either side, gaps included, and is then
+// narrowed by the whitespace both versions share at its ends, so
+// "para.\n\nsecond" -> "para.\n\nThe second" inserts "The " before "second"
+// and "however the" -> "however, the" inserts "," after "however".
+function hunkToSpan(hunk, original, corrected, a, b) {
+    let start = a[hunk.aFrom - 1]?.end ?? 0;
+    let end = a[hunk.aTo]?.start ?? original.length;
+    let from = b[hunk.bFrom - 1]?.end ?? 0;
+    let to = b[hunk.bTo]?.start ?? corrected.length;
+
+    const isSpace = ch => /\s/.test(ch);
+    while (start < end && from < to && original[start] === corrected[from] && isSpace(original[start])) {
+        start++;
+        from++;
+    }
+    while (start < end && from < to && original[end - 1] === corrected[to - 1] && isSpace(original[end - 1])) {
+        end--;
+        to--;
+    }
+    return { start, end, replacement: corrected.slice(from, to) };
+}
+
+function levenshtein(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, k) => k);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = temp;
+        }
+    }
+    return row[b.length];
+}
+
+function isPair(pairs, x, y) {
+    return pairs.some(([p, q]) => (p === x && q === y) || (p === y && q === x));
+}
+
+// Fallback when the model didn't label a hunk: a few cheap rules, then word choice
+export function classifyEdit(originalText, replacement) {
+    const before = tokenize(originalText).map(t => t.text.toLowerCase());
+    const after = tokenize(replacement).map(t => t.text.toLowerCase());
+    const all = [...before, ...after];
+
+    if (all.every(t => /^[^\p{L}\p{N}]$/u.test(t))) return 'punctuation';
+    // Capitalisation only
+    if (before.length > 0 && before.join(' ') === after.join(' ')) return 'spelling';
+    if (all.every(t => ARTICLES.has(t))) return 'article';
+
+    if (before.length === 1 && after.length === 1) {
+        const [x] = before;
+        const [y] = after;
+        if (isPair(AGREEMENT_PAIRS, x, y) || x + 's' === y || y + 's' === x || x + 'es' === y || y + 'es' === x) return 'agreement';
+        if (isPair(TENSE_PAIRS, x, y) || x + 'ed' === y || y + 'ed' === x || x + 'd' === y || y + 'd' === x) return 'tense';
+        if (levenshtein(x, y) <= Math.max(1, Math.floor(Math.max(x.length, y.length) / 4))) return 'spelling';
+    }
+    return 'word_choice';
+}
+
+function findModelEdit(modelEdits, originalText, replacement) {
+    const before = normalizeForMatch(originalText);
+    const after = normalizeForMatch(replacement);
+    // Pure punctuation changes normalise to nothing and can't be matched reliably
+    if (!before && !after) return null;
+
+    const exact = modelEdits.find(e => e.before === before && e.after === after);
+    if (exact) return exact;
+    // Model edits are often coarser than our word-level hunks ("he go" -> "he goes")
+    const containsWords = (haystack, needle) => !needle || ` ${haystack} `.includes(` ${needle} `);
+    return modelEdits.find(e => containsWords(e.before, before) && containsWords(e.after, after)) || null;
+}
+
+// Returns { edits, counts } for the original and corrected texts
+export function buildGrammarEdits(original, corrected, modelEdits = []) {
+    const a = tokenize(original);
+    const b = tokenize(corrected);
+    const labelled = modelEdits
+        .filter(e => e && typeof e === 'object')
+        .map(e => ({
+            before: normalizeForMatch(e.original ?? ''),
+            after: normalizeForMatch(e.replacement ?? e.corrected ?? ''),
+            category: String(e.category || '').toLowerCase().replace(/[\s-]+/g, '_'),
+            reason: typeof e.reason === 'string' ? e.reason.trim() : ''
+        }));
+
+    const hunks = diffTokens(a, b).flatMap(hunk => splitHunk(hunk, original, corrected, a, b));
+    const edits = hunks.map(hunk => {
+        const { start, end, replacement } = hunkToSpan(hunk, original, corrected, a, b);
+        const originalText = original.slice(start, end);
+        const match = findModelEdit(labelled, originalText, replacement);
+        const category = GRAMMAR_CATEGORIES.includes(match?.category) ? match.category : classifyEdit(originalText, replacement);
+        return {
+            start,
+            end,
+            original: originalText,
+            replacement,
+            category,
+            reason: match?.reason || ''
+        };
+    });
+
+    const counts = Object.fromEntries(GRAMMAR_CATEGORIES.map(c => [c, 0]));
+    for (const edit of edits) counts[edit.category]++;
+
+    return { edits, counts };
+}
+
+// Parses { corrected, edits } from the model output
+export function parseGrammarResponse(raw) {
+    const parsed = extractJson(raw);
+    if (!parsed || typeof parsed.corrected !== 'string' || !parsed.corrected.trim()) {
+        throw new GrammarParseError(raw);
+    }
+    return {
+        corrected: parsed.corrected.trim(),
+        modelEdits: Array.isArray(parsed.edits) ? parsed.edits : []
+    };
+}
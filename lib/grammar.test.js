@@ -0,0 +1,118 @@
+import { describe, expect, test } from 'bun:test';
+import { buildGrammarEdits, classifyEdit, parseGrammarResponse, GrammarParseError } from './grammar.js';
+
+// Applies the edits back to front, as a client would
+function applyEdits(original, edits) {
+    return [...edits].sort((x, y) => y.start - x.start)
+        .reduce((text, e) => text.slice(0, e.start) + e.replacement + text.slice(e.end), original);
+}
+
+describe('buildGrammarEdits', () => {
+    test('returns no edits for an unchanged text', () => {
+        const { edits, counts } = buildGrammarEdits('It is fine.', 'It is fine.');
+        expect(edits).toEqual([]);
+        expect(Object.values(counts).every(c => c === 0)).toBe(true);
+    });
+
+    test('splits equal-length hunks into one edit per word', () => {
+        const original = 'Yesterday i has a apple.';
+        const { edits } = buildGrammarEdits(original, 'Yesterday I have an apple.');
+        expect(edits.map(e => [e.original, e.replacement, e.category])).toEqual([
+            ['i', 'I', 'spelling'],
+            ['has', 'have', 'agreement'],
+            ['a', 'an', 'article']
+        ]);
+        expect(edits[1]).toMatchObject({ start: 12, end: 15 });
+        expect(original.slice(edits[1].start, edits[1].end)).toBe('has');
+    });
+
+    test('anchors insertions so the spacing comes out right', () => {
+        const original = 'It rained however the match went ahead.';
+        const corrected = 'It rained. However, the match went ahead.';
+        expect(applyEdits(original, buildGrammarEdits(original, corrected).edits)).toBe(corrected);
+    });
+
+    test('edits the punctuation around an unchanged word', () => {
+        const original = 'I ate an apple, however the pear was better.';
+        const corrected = 'I ate an apple; however, the pear was better.';
+        const { edits, counts } = buildGrammarEdits(original, corrected);
+        expect(edits.map(e => [e.original, e.replacement, e.category])).toEqual([
+            [',', ';', 'punctuation'],
+            ['', ',', 'punctuation']
+        ]);
+        expect(counts).toMatchObject({ punctuation: 2, word_choice: 0 });
+        expect(applyEdits(original, edits)).toBe(corrected);
+    });
+
+    test('handles insertions and deletions at the very start and end', () => {
+        const original = 'people like it';
+        const corrected = 'Most people like it.';
+        expect(applyEdits(original, buildGrammarEdits(original, corrected).edits)).toBe(corrected);
+
+        const trimmed = 'So, people like it';
+        expect(applyEdits(trimmed, buildGrammarEdits(trimmed, 'people like it').edits)).toBe('people like it');
+    });
+
+    test('rebuilds the corrected text exactly around newlines and double spaces', () => {
+        for (const [original, corrected] of [
+            ['First para.\n\nsecond para starts here.', 'First para.\n\nThe second para starts here.'],
+            ['It rained.  the match went ahead.', 'It rained.  However, the match went ahead.'],
+            ['Line one\nline  two ends', 'Line one\nand line  two ends'],
+            ['Some very\nbig  changes here.', 'Some\nbig  changes here.'],
+            ['Words  i has a\napple.', 'Words  I have an apple.']
+        ]) {
+            expect(applyEdits(original, buildGrammarEdits(original, corrected).edits)).toBe(corrected);
+        }
+    });
+
+    test('inserts a word before the next one when the gap is not a single space', () => {
+        const original = 'First para.\n\nsecond para.';
+        const { edits } = buildGrammarEdits(original, 'First para.\n\nThe second para.');
+        expect(edits).toMatchObject([{ start: 13, end: 13, original: '', replacement: 'The ' }]);
+    });
+
+    test('labels hunks from the model edits, falling back to the rules', () => {
+        const { edits, counts } = buildGrammarEdits('He go to school.', 'He goes to school.', [
+            { original: 'He go', replacement: 'He goes', category: 'Agreement', reason: 'Third person singular' }
+        ]);
+        expect(edits).toEqual([{ start: 3, end: 5, original: 'go', replacement: 'goes', category: 'agreement', reason: 'Third person singular' }]);
+        expect(counts.agreement).toBe(1);
+    });
+
+    test('ignores unknown model categories', () => {
+        const { edits } = buildGrammarEdits('I walk yesterday.', 'I walked yesterday.', [
+            { original: 'walk', replacement: 'walked', category: 'verbs' }
+        ]);
+        expect(edits[0].category).toBe('tense');
+    });
+
+    test('rebuilds the corrected text for a multi-edit paragraph', () => {
+        const original = 'The graph show that the number of student rise sharply in 2010 and then it fall.';
+        const corrected = 'The graph shows that the number of students rose sharply in 2010, and then it fell.';
+        expect(applyEdits(original, buildGrammarEdits(original, corrected).edits)).toBe(corrected);
+    });
+});
+
+describe('classifyEdit', () => {
+    test('applies the fallback rules', () => {
+        expect(classifyEdit(',', ';')).toBe('punctuation');
+        expect(classifyEdit('the', 'a')).toBe('article');
+        expect(classifyEdit('was', 'were')).toBe('agreement');
+        expect(classifyEdit('go', 'went')).toBe('tense');
+        expect(classifyEdit('goverment', 'government')).toBe('spelling');
+        expect(classifyEdit('big', 'significant')).toBe('word_choice');
+    });
+});
+
+describe('parseGrammarResponse', () => {
+    test('reads the corrected text and edits', () => {
+        expect(parseGrammarResponse('```json\n{"corrected": " Fixed. ", "edits": [{"original": "a"}]}\n```')).toEqual({
+            corrected: 'Fixed.',
+            modelEdits: [{ original: 'a' }]
+        });
+    });
+
+    test('rejects a response without a corrected text', () => {
+        expect(() => parseGrammarResponse('{"edits": []}')).toThrow(GrammarParseError);
+    });
+});
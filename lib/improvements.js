@@ -0,0 +1,102 @@
+import { extractJson } from './json.js';
+import { splitSentences, normalizeForMatch, escapeHtml } from './text.js';
+
+// --- Sentence Improvements ---
+// The model returns { improvements: [{ original, improved, changeTypes }] }.
+// Every `original` must match a sentence we split from the submitted text
+// ourselves; anything the model invented is dropped. `paragraphIndex` always
+// comes from our own split, never from the model.
+
+export const CHANGE_TYPES = ['grammar', 'vocabulary', 'cohesion', 'clarity', 'concision', 'tone', 'punctuation', 'spelling'];
+
+// Minimum word overlap for a near-verbatim quote to still count as a match
+const FUZZY_MATCH_THRESHOLD = 0.85;
+
+export class ImprovementParseError extends Error {
+    constructor(raw) {
+        super('AI service returned invalid sentence improvements');
+        this.name = 'ImprovementParseError';
+        this.raw = raw;
+    }
+}
+
+function wordOverlap(a, b) {
+    const wordsA = new Set(a.split(' '));
+    const wordsB = new Set(b.split(' '));
+    let shared = 0;
+    for (const word of wordsA) if (wordsB.has(word)) shared++;
+    return shared / Math.max(wordsA.size, wordsB.size);
+}
+
+function findSentence(sentences, original) {
+    const target = normalizeForMatch(original);
+    if (!target) return null;
+    const exact = sentences.find(s => s.normalized === target);
+    if (exact) return exact;
+
+    let best = null;
+    let bestScore = 0;
+    for (const sentence of sentences) {
+        const score = wordOverlap(sentence.normalized, target);
+        if (score > bestScore) {
+            best = sentence;
+            bestScore = score;
+        }
+    }
+    return bestScore >= FUZZY_MATCH_THRESHOLD ? best : null;
+}
+
+// Returns { improvements, rejected } where `rejected` counts model rows that
+// didn't match the submitted text or were malformed.
+export function parseImprovements(raw, text) {
+    const parsed = extractJson(raw);
+    const rows = Array.isArray(parsed) ? parsed : parsed?.improvements;
+    if (!Array.isArray(rows)) {
+        throw new ImprovementParseError(raw);
+    }
+
+    const sentences = splitSentences(text).map(s => ({ ...s, normalized: normalizeForMatch(s.text) }));
+    const seen = new Set();
+    const improvements = [];
+    let rejected = 0;
+
+    for (const row of rows) {
+        const improved = typeof row?.improved === 'string' ? row.improved.trim() : '';
+        const sentence = typeof row?.original === 'string' && improved ? findSentence(sentences, row.original) : null;
+        if (!sentence || seen.has(sentence.start)) {
+            rejected++;
+            continue;
+        }
+        seen.add(sentence.start);
+
+        const changeTypes = Array.isArray(row.changeTypes)
+            ? [...new Set(row.changeTypes.map(t => String(t).toLowerCase().trim()))].filter(t => CHANGE_TYPES.includes(t))
+            : [];
+
+        improvements.push({
+            original: sentence.text,
+            improved,
+            paragraphIndex: sentence.paragraphIndex,
+            changeTypes,
+            start: sentence.start,
+            end: sentence.end
+        });
+    }
+
+    // Present rows in essay order regardless of the order the model used
+    improvements.sort((a, b) => a.start - b.start);
+    return { improvements, rejected };
+}
+
+// Legacy output for clients that still inject a table. Everything is escaped,
+// so nothing from the model or the student can inject markup.
+export function renderImprovementTable(improvements) {
+    const rows = improvements
+        .map(i => `<tr><td>${escapeHtml(i.original)}</td><td>${escapeHtml(i.improved)}</td></tr>`)
+        .join('');
+    return `<table><thead><tr><th>Your Sentence</th><th>Improved Sentence</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+export function buildImprovementInstructions() {
+    return `Your output must be pure JSON (do not wrap it in a code block) of the form {"improvements": [{"original": "...", "improved": "...", "changeTypes": ["..."]}]}. Each entry is a single sentence: 'original' must quote the student's sentence exactly as written and 'improved' is your improved version of it. 'changeTypes' lists what you changed, using only these values: ${CHANGE_TYPES.join(', ')}.`;
+}
@@ -0,0 +1,56 @@
+import { describe, expect, test } from 'bun:test';
+import { parseImprovements, renderImprovementTable, ImprovementParseError } from './improvements.js';
+
+const essay = 'The graph show a rise. Sales increased a lot in 2010.\nIn conclusion, prices of most goods fell sharply.';
+
+describe('parseImprovements', () => {
+    test('matches rows to our own sentences and returns them in essay order', () => {
+        const raw = JSON.stringify({
+            improvements: [
+                { original: 'Sales increased a lot in 2010.', improved: 'Sales rose considerably in 2010.', changeTypes: ['Vocabulary', 'vocabulary', 'style'] },
+                { original: 'The graph show a rise.', improved: 'The graph shows a rise.', changeTypes: ['grammar'] }
+            ]
+        });
+        const { improvements, rejected } = parseImprovements(raw, essay);
+        expect(rejected).toBe(0);
+        expect(improvements.map(i => [i.original, i.changeTypes, i.paragraphIndex])).toEqual([
+            ['The graph show a rise.', ['grammar'], 0],
+            ['Sales increased a lot in 2010.', ['vocabulary'], 0]
+        ]);
+        expect(essay.slice(improvements[1].start, improvements[1].end)).toBe('Sales increased a lot in 2010.');
+    });
+
+    test('accepts a near-verbatim quote but returns the sentence as written', () => {
+        const raw = JSON.stringify([{ original: '“In conclusion prices of most goods fell sharp”', improved: 'In conclusion, most prices fell sharply.' }]);
+        const { improvements } = parseImprovements(raw, essay);
+        expect(improvements).toMatchObject([{ original: 'In conclusion, prices of most goods fell sharply.', paragraphIndex: 1, changeTypes: [] }]);
+    });
+
+    test('rejects invented, repeated and incomplete rows', () => {
+        const raw = JSON.stringify({
+            improvements: [
+                { original: 'The graph show a rise.', improved: 'The graph shows a rise.' },
+                { original: 'the graph show a rise', improved: 'The graph shows an increase.' },
+                { original: 'Students should study abroad.', improved: 'Students ought to study abroad.' },
+                { original: 'Sales increased a lot in 2010.', improved: '  ' },
+                { improved: 'No original.' },
+                null
+            ]
+        });
+        const { improvements, rejected } = parseImprovements(raw, essay);
+        expect(improvements.map(i => i.improved)).toEqual(['The graph shows a rise.']);
+        expect(rejected).toBe(5);
+    });
+
+    test('throws on output without an improvements list', () => {
+        expect(() => parseImprovements('{"rows": []}', essay)).toThrow(ImprovementParseError);
+        expect(() => parseImprovements('not json', essay)).toThrow(ImprovementParseError);
+    });
+});
+
+describe('renderImprovementTable', () => {
+    test('escapes the sentences', () => {
+        const html = renderImprovementTable([{ original: '<b>Hi</b>', improved: 'A & B' }]);
+        expect(html).toContain('<td>&lt;b&gt;Hi&lt;/b&gt;</td><td>A &amp; B</td>');
+    });
+});
@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { logger, withLogContext } from './logger.js';
+import { createCounter } from './metrics.js';
+import { postWebhook, WebhookUrlError } from './webhooks.js';
+
+// --- Background Jobs ---
+// In-process queue for slow work (transcription, full reports). Every job is
+// a JSON file in the jobs directory, rewritten on each state change, so queued
+// jobs survive a restart and jobs that were running are picked up again.
+// Uploaded files belong to their job and are deleted when it finishes or expires.
+//
+// Job states: queued -> running -> succeeded | failed
+// (a failed attempt with retries left goes back to queued with a delay)
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const TERMINAL_STATES = new Set(['succeeded', 'failed']);
+
+const jobAttempts = createCounter('jobs_attempts_total', 'Background job attempts by outcome', ['type', 'outcome']);
+
+// What GET /api/jobs/:id returns; input and file paths stay server-side
+export function toPublicJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        finishedAt: job.finishedAt,
+        expiresAt: job.expiresAt
+    };
+}
+
+export function createJobQueue({ dir, concurrency, maxAttempts, backoffMs, ttlMs, webhookSecret = null }) {
+    const handlers = new Map();
+    const jobs = new Map();
+    const running = new Map(); // id -> AbortController
+    let wakeTimer = null;
+    let sweepTimer = null;
+    let stopped = false;
+
+    fs.ensureDirSync(dir);
+
+    const jobFile = (id) => path.join(dir, `${id}.json`);
+
+    // Write to a temp file and rename so a crash never leaves half a job on disk.
+    // Each write gets its own temp file: the sweeper can expire a job while its
+    // attempt is still writing it, and with a shared name one write could move
+    // the other's half-written file into place.
+    async function persist(job) {
+        job.updatedAt = new Date().toISOString();
+        const file = jobFile(job.id);
+        const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+        await fs.writeJson(tmp, job);
+        await fs.move(tmp, file, { overwrite: true });
+    }
+
+    async function removeFiles(job) {
+        await Promise.all(job.files.map(filePath =>
+            fs.remove(filePath).catch(err => logger.error('Failed to delete job file', { filePath, error: err }))
+        ));
+    }
+
+    async function notifyWebhook(job) {
+        if (!job.webhookUrl) return;
+        const body = JSON.stringify(toPublicJob(job));
+        const headers = { 'Content-Type': 'application/json' };
+        if (webhookSecret) {
+            headers['X-Job-Signature'] = crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+        }
+        try {
+            // Checked again here: the host may resolve elsewhere than at submission
+            const status = await postWebhook(job.webhookUrl, { headers, body, timeoutMs: WEBHOOK_TIMEOUT_MS });
+            if (status < 200 || status >= 300) {
+                logger.warn('Webhook returned an error status', { jobId: job.id, status });
+            }
+        } catch (error) {
+            if (error instanceof WebhookUrlError) {
+                logger.warn('Webhook blocked', { jobId: job.id, error: error.message });
+                return;
+            }
+            logger.warn('Webhook failed', { jobId: job.id, error: error.message });
+        }
+    }
+
+    async function finish(job, status, { result = null, error = null } = {}) {
+        job.status = status;
+        job.result = result;
+        job.error = error;
+        job.finishedAt = new Date().toISOString();
+        await removeFiles(job);
+        await persist(job);
+        notifyWebhook(job);
+    }
+
+    // Each attempt logs under its own job id, with its own model usage totals,
+    // whichever request happened to start it
+    function run(job) {
+        const usage = { modelCalls: 0, modelMs: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+        return withLogContext({ jobId: job.id, jobType: job.type }, () => attempt(job, usage), { usage, inherit: false });
+    }
+
+    async function attempt(job, usage) {
+        const started = Date.now();
+        const controller = new AbortController();
+        running.set(job.id, controller);
+        job.status = 'running';
+        job.attempts += 1;
+        await persist(job);
+
+        try {
+            const handler = handlers.get(job.type);
+            if (!handler) {
+                throw Object.assign(new Error(`No handler registered for job type "${job.type}"`), { permanent: true });
+            }
+            const result = await handler(job, { signal: controller.signal });
+            // The sweeper may have expired the job while it was running
+            if (job.status !== 'running') return;
+            jobAttempts.inc({ type: job.type, outcome: 'succeeded' });
+            logger.info('Job succeeded', { attempt: job.attempts, durationMs: Date.now() - started, ...usage });
+            await finish(job, 'succeeded', { result });
+        } catch (error) {
+            // On shutdown the job is left as `running` and picked up again on the next start
+            if (stopped || job.status !== 'running') return;
+            const message = error.message || 'Job failed';
+            if (job.attempts < job.maxAttempts && !error.permanent) {
+                const delay = backoffMs * 2 ** (job.attempts - 1);
+                jobAttempts.inc({ type: job.type, outcome: 'retrying' });
+                logger.warn('Job attempt failed, retrying', { attempt: job.attempts, delayMs: delay, error: message, ...usage });
+                job.status = 'queued';
+                job.error = message;
+                job.runAfter = Date.now() + delay;
+                await persist(job);
+            } else {
+                jobAttempts.inc({ type: job.type, outcome: 'failed' });
+                logger.error('Job failed permanently', { attempt: job.attempts, error: message, ...usage });
+                await finish(job, 'failed', { error: message });
+            }
+        } finally {
+            running.delete(job.id);
+            pump();
+        }
+    }
+
+    // Starts as many due jobs as concurrency allows and sets a timer for the next one
+    function pump() {
+        if (stopped) return;
+        clearTimeout(wakeTimer);
+        const now = Date.now();
+        const queued = [...jobs.values()]
+            .filter(job => job.status === 'queued')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const job of queued) {
+            if (running.size >= concurrency) return;
+            if (job.runAfter <= now) {
+                run(job).catch(error => logger.error('Error running job', { jobId: job.id, error }));
+            }
+        }
+
+        const next = queued.filter(job => job.runAfter > now).map(job => job.runAfter).sort((a, b) => a - b)[0];
+        if (next) wakeTimer = setTimeout(pump, next - now);
+    }
+
+    // Drops expired jobs. Unfinished ones are cancelled and fail first so any
+    // webhook still hears about them.
+    async function sweep() {
+        const now = Date.now();
+        for (const job of jobs.values()) {
+            if (Date.parse(job.expiresAt) > now) continue;
+            if (!TERMINAL_STATES.has(job.status)) {
+                running.get(job.id)?.abort(new Error('Job expired'));
+                await finish(job, 'failed', { error: 'Job expired before it could complete' });
+            }
+            await removeFiles(job);
+            await fs.remove(jobFile(job.id));
+            jobs.delete(job.id);
+        }
+    }
+
+    return {
+        // handler(job, { signal }) resolves to the job result. Errors are retried
+        // unless they carry `permanent: true`.
+        register(type, handler) {
+            handlers.set(type, handler);
+        },
+
+        async enqueue({ type, input, files = [], userId, webhookUrl = null }) {
+            if (!handlers.has(type)) {
+                throw new Error(`No handler registered for job type "${type}"`);
+            }
+            const now = Date.now();
+            const job = {
+                id: crypto.randomUUID(),
+                type,
+                status: 'queued',
+                input,
+                files,
+                userId,
+                webhookUrl,
+                attempts: 0,
+                maxAttempts,
+                runAfter: now,
+                result: null,
+                error: null,
+                createdAt: new Date(now).toISOString(),
+                updatedAt: null,
+                finishedAt: null,
+                expiresAt: new Date(now + ttlMs).toISOString()
+            };
+            await persist(job);
+            jobs.set(job.id, job);
+            pump();
+            return job;
+        },
+
+        get(id) {
+            return jobs.get(id) || null;
+        },
+
+        // Every path any job still owns, so orphan cleanup can skip them
+        ownedFiles() {
+            return new Set([...jobs.values()].flatMap(job => job.files));
+        },
+
+        // Loads jobs from disk; anything interrupted mid-run is queued again
+        async start() {
+            const entries = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+            for (const name of entries) {
+                try {
+                    const job = await fs.readJson(path.join(dir, name));
+                    if (job.status === 'running') {
+                        job.status = 'queued';
+                        job.runAfter = Date.now();
+                    }
+                    jobs.set(job.id, job);
+                } catch (error) {
+                    logger.error('Skipping unreadable job file', { file: name, error: error.message });
+                }
+            }
+            const pending = [...jobs.values()].filter(job => !TERMINAL_STATES.has(job.status)).length;
+            logger.info('Loaded jobs', { dir, jobs: jobs.size, pending });
+
+            await sweep();
+            sweepTimer = setInterval(() => sweep().catch(error => logger.error('Error sweeping jobs', { error })), SWEEP_INTERVAL_MS);
+            pump();
+        },
+
+        stop() {
+            stopped = true;
+            clearTimeout(wakeTimer);
+            clearInterval(sweepTimer);
+            for (const controller of running.values()) controller.abort(new Error('Server shutting down'));
+        }
+    };
+}
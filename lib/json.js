@@ -0,0 +1,17 @@
+// Models sometimes wrap JSON in code fences or add a sentence before it
+export function extractJson(text) {
+    if (typeof text !== 'string') return null;
+    const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(trimmed);
+    } catch (e) {
+        const start = trimmed.indexOf('{');
+        const end = trimmed.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+        try {
+            return JSON.parse(trimmed.slice(start, end + 1));
+        } catch (e2) {
+            return null;
+        }
+    }
+}
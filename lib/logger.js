@@ -0,0 +1,87 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { observabilityConfig } from './config.js';
+
+// --- Structured Logging ---
+// logger.info('message', { fields }) writes one JSON line with the time,
+// level, message, the fields and whatever the surrounding context carries
+// (requestId for HTTP requests, jobId for background jobs). Context is set
+// with withLogContext() and follows async calls, so helpers deep inside a
+// request don't need the request passed down to log against it.
+//
+// Fields named in LOG_REDACT_FIELDS are redacted at any depth. Pass student
+// text and model output under those names (`essay`, `raw`...) rather than
+// inside the message.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+const minLevel = LEVELS[observabilityConfig.logLevel] ?? LEVELS.info;
+const redactFields = new Set(observabilityConfig.redactFields.map(name => name.toLowerCase()));
+
+// Runs fn with extra fields attached to every log line until everything it
+// started has finished. `usage` is a totals object for the model calls made
+// in this context (see lib/providers); nested contexts share their parent's
+// fields and totals unless `inherit` is false (background work started from
+// a request but not part of it).
+export function withLogContext(fields, fn, { usage = null, inherit = true } = {}) {
+    const parent = inherit ? context.getStore() : null;
+    return context.run({ fields: { ...parent?.fields, ...fields }, usage: usage ?? parent?.usage ?? null }, fn);
+}
+
+export function getContextUsage() {
+    return context.getStore()?.usage ?? null;
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.status ? { status: error.status } : {}),
+        ...(error.code ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+function redactValue(value) {
+    if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+    if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+    return '[redacted]';
+}
+
+function prepare(value, depth = 0) {
+    if (value instanceof Error) return serializeError(value);
+    if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+    if (!value || typeof value !== 'object' || depth > 6) return value;
+    if (Array.isArray(value)) return value.map(item => prepare(item, depth + 1));
+
+    const out = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (field === undefined) continue;
+        out[key] = observabilityConfig.redact && redactFields.has(key.toLowerCase()) && field !== null
+            ? redactValue(field)
+            : prepare(field, depth + 1);
+    }
+    return out;
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < minLevel) return;
+    const scope = context.getStore()?.fields;
+    const entry = prepare({ time: new Date().toISOString(), level, msg: message, ...scope, ...fields });
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (observabilityConfig.logFormat === 'pretty') {
+        const { time, level: _, msg, ...rest } = entry;
+        const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+        stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}\n`);
+        return;
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+export const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
@@ -0,0 +1,96 @@
+// --- Metrics ---
+// Counters and histograms kept in process and rendered in the Prometheus text
+// exposition format by GET /metrics. Modules create their own metrics at load
+// time; label values are passed as an object on every update.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const registry = new Map(); // name -> metric
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = {}) {
+    const pairs = labelNames.map((name, i) => [name, values[i]]).concat(Object.entries(extra));
+    if (pairs.length === 0) return '';
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function register(metric) {
+    if (registry.has(metric.name)) {
+        throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    registry.set(metric.name, metric);
+    return metric;
+}
+
+export function createCounter(name, help, labelNames = []) {
+    const values = new Map(); // labelKey -> number
+
+    return register({
+        name,
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const [key, value] of values) {
+                lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+            }
+            return lines;
+        }
+    });
+}
+
+export function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // labelKey -> { counts, sum, count }
+
+    return register({
+        name,
+        observe(labels = {}, value) {
+            const key = labelKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i] += 1;
+            });
+            entry.sum += value;
+            entry.count += 1;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const [key, { counts, sum, count }] of series) {
+                const values = JSON.parse(key);
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: bound })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+            }
+            return lines;
+        }
+    });
+}
+
+// A value read when /metrics is scraped
+export function createGauge(name, help, read) {
+    return register({
+        name,
+        render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`]
+    });
+}
+
+createGauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime());
+createGauge('process_resident_memory_bytes', 'Resident set size in bytes', () => process.memoryUsage().rss);
+createGauge('process_heap_used_bytes', 'JavaScript heap in use in bytes', () => process.memoryUsage().heapUsed);
+
+export function renderMetrics() {
+    return [...registry.values()].flatMap(metric => metric.render()).join('\n') + '\n';
+}
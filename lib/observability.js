@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { logger, withLogContext } from './logger.js';
+import { createCounter, createHistogram, renderMetrics } from './metrics.js';
+import { observabilityConfig } from './config.js';
+
+// --- Request Observability ---
+// Every request gets an id (the caller's X-Request-Id if it looks sane, else a
+// new UUID), echoed in the X-Request-Id response header and attached to every
+// log line written while handling it. When the response finishes, one access
+// log line and the HTTP metrics are recorded with the route pattern, status,
+// duration and the model usage the request caused.
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const httpRequests = createCounter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpErrors = createCounter('http_request_errors_total', 'HTTP requests answered with a 5xx status', ['method', 'route']);
+const httpLatency = createHistogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route']);
+
+// The pattern the request matched (/api/jobs/:id rather than the id itself),
+// so metrics don't grow a series per URL. Routes registered as arrays
+// (/api/grammar and /api/grammar/stream) report whichever one was called.
+function routeLabel(req) {
+    if (!req.route) return 'unmatched';
+    const { path } = req.route;
+    if (Array.isArray(path)) {
+        return path.find(p => `${req.baseUrl}${p}` === req.originalUrl.split('?')[0]) ?? String(path[0]);
+    }
+    return `${req.baseUrl}${path}`;
+}
+
+export function requestObservability() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const usage = { modelCalls: 0, modelMs: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+        const started = performance.now();
+
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        // 'close' also fires when the client goes away before the response ends
+        res.once('close', () => {
+            const seconds = (performance.now() - started) / 1000;
+            const route = routeLabel(req);
+            const status = res.writableFinished ? res.statusCode : 499;
+            httpRequests.inc({ method: req.method, route, status });
+            if (status >= 500) httpErrors.inc({ method: req.method, route });
+            httpLatency.observe({ method: req.method, route }, seconds);
+
+            const level = status >= 500 ? 'error' : 'info';
+            logger[level]('Request completed', {
+                requestId,
+                method: req.method,
+                route,
+                path: req.originalUrl.split('?')[0],
+                status,
+                durationMs: Math.round(seconds * 1000),
+                userId: req.user?.id,
+                ...(usage.modelCalls ? { ...usage, costUsd: Number(usage.costUsd.toFixed(6)) } : {})
+            });
+        });
+
+        withLogContext({ requestId }, next, { usage });
+    };
+}
+
+// GET /metrics in the Prometheus text format, behind METRICS_TOKEN if set
+export function metricsHandler(req, res) {
+    if (observabilityConfig.metricsToken) {
+        const header = req.get('Authorization') || '';
+        const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+        const expected = Buffer.from(observabilityConfig.metricsToken);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return res.status(401).json({ error: 'Invalid metrics token' });
+        }
+    }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(renderMetrics());
+}
@@ -0,0 +1,91 @@
+import { buildImprovementInstructions } from './improvements.js';
+import { GRAMMAR_CATEGORIES } from './grammar.js';
+import { getPromptRegistry, renderTemplate } from './templates.js';
+
+// --- Prompt Builders ---
+// Fill the versioned templates in prompts/ (see lib/templates.js) for each
+// model task. Every builder returns { text, promptVersion }; the version goes
+// into the response so results can be traced to the prompt that produced them.
+
+const registry = getPromptRegistry();
+
+// The broad task types the routes, quotas and history use
+export const TASK_TYPES = [...new Set(Object.values(registry).map(entry => entry.taskType))];
+
+// The registry key (prompt task) used when the client doesn't say which kind
+// of essay or letter it is
+const DEFAULT_PROMPT_TASKS = { essay: 'task2', graph: 'academic-task1', letter: 'gt-letter' };
+
+export const ESSAY_TYPES = ['opinion', 'discussion', 'problem-solution', 'advantages-disadvantages', 'two-part'];
+export const LETTER_TYPES = ['formal', 'semi-formal', 'informal'];
+
+// Maps a task type plus the optional essayType/letterType from the request to
+// a registry key, or null when the combination is not valid.
+export function resolvePromptTask(taskType, { essayType = null, letterType = null } = {}) {
+    if (!TASK_TYPES.includes(taskType)) return null;
+    if (essayType) {
+        return taskType === 'essay' && ESSAY_TYPES.includes(essayType) ? `task2-${essayType}` : null;
+    }
+    if (letterType) {
+        return taskType === 'letter' && LETTER_TYPES.includes(letterType) ? `gt-letter-${letterType}` : null;
+    }
+    return DEFAULT_PROMPT_TASKS[taskType];
+}
+
+// Measurements from lib/analytics.js, stated as facts so the scores are
+// anchored to something other than the model's impression
+function describeAnalytics(analytics) {
+    const { wordCount, minimumWords, paragraphs, sentences, lexicalDiversity, academicWords, cohesion, repeatedWords } = analytics;
+    const lines = [
+        `Word count: ${wordCount}${minimumWords ? ` (the minimum for this task is ${minimumWords}${wordCount < minimumWords ? '; the response is UNDER LENGTH' : ''})` : ''}`,
+        `Paragraphs: ${paragraphs}`,
+        `Sentences: ${sentences.count}, average ${sentences.meanLength} words (shortest ${sentences.shortest}, longest ${sentences.longest})`,
+        `Lexical diversity: type-token ratio ${lexicalDiversity.ttr}${lexicalDiversity.mtld !== null ? `, MTLD ${lexicalDiversity.mtld}` : ''}`,
+        `Academic Word List coverage: ${academicWords.coverage}% (${academicWords.families} word families)`,
+        `Cohesive devices: ${cohesion.total} (${cohesion.distinct} distinct)${cohesion.overused.length ? `; overused: ${cohesion.overused.join(', ')}` : ''}`
+    ];
+    if (repeatedWords.length) {
+        lines.push(`Most repeated content words: ${repeatedWords.map(w => `${w.word} x${w.count}`).join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+// `analytics` (optional) adds the server's measurements of the response
+export function buildCriteriaPrompt(promptTask, topic, essay, analytics = null, { version = null } = {}) {
+    const entry = registry[promptTask];
+    const measurements = analytics
+        ? `The following measurements were computed from the response by the server and are accurate. Take them into account; in particular, a response under the minimum word count must be penalised in TA.\n\n${describeAnalytics(analytics)}`
+        : '';
+    return renderTemplate(entry.criteria, { ...entry.variables, topic, essay, measurements }, { version });
+}
+
+export function buildImprovementPrompt(promptTask, topic, essay, { version = null } = {}) {
+    const entry = registry[promptTask];
+    return renderTemplate(entry.improvement, { ...entry.variables, topic: topic || '', essay, instructions: buildImprovementInstructions() }, { version });
+}
+
+export function buildGrammarPrompt(essay) {
+    return renderTemplate('grammar/text', { essay });
+}
+
+export function buildGrammarEditsPrompt(essay) {
+    return renderTemplate('grammar/edits', { essay, categories: GRAMMAR_CATEGORIES.join(', ') });
+}
+
+export function buildTranscriptionPrompt() {
+    return renderTemplate('transcription/handwriting', {});
+}
+
+function describeSpeechStats(stats) {
+    const fillers = Object.entries(stats.fillers.counts).map(([word, n]) => `"${word}" x${n}`).join(', ') || 'none';
+    return `${stats.wordCount} words in ${stats.durationSeconds}s (${stats.wordsPerMinute} words per minute, ${stats.articulationRate} excluding pauses); ${stats.pauses.count} pauses of ${stats.pauses.thresholdSeconds}s or longer (longest ${stats.pauses.longestSeconds}s); fillers: ${fillers}`;
+}
+
+// `parts` are [{ part, question, transcript, stats }] for the recorded parts of
+// the test; `stats` covers all of them together.
+export function buildSpeakingPrompt(parts, stats) {
+    const sections = parts.map(({ part, question, transcript, stats: partStats }) =>
+        `Part ${part}${question ? `\nQuestion: ${question}` : ''}\nMeasured: ${describeSpeechStats(partStats)}\nTranscript: ${transcript}`
+    ).join('\n\n');
+    return renderTemplate('speaking/criteria', { measurements: describeSpeechStats(stats), parts: sections });
+}
@@ -0,0 +1,16 @@
+// Errors thrown by providers. `retryable` tells the router whether it is worth
+// falling back to the next model (rate limits, upstream 5xx, timeouts).
+export class ProviderError extends Error {
+    constructor(message, { status = null, retryable = false, provider = null, model = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryable = retryable;
+        this.provider = provider;
+        this.model = model;
+    }
+}
+
+export function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
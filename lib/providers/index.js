@@ -0,0 +1,170 @@
+import { getModelRoute, providerConfig, observabilityConfig } from '../config.js';
+import { logger, getContextUsage } from '../logger.js';
+import { createCounter, createHistogram } from '../metrics.js';
+import { ProviderError } from './errors.js';
+import { createOpenRouterProvider } from './openrouter.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+
+export { ProviderError } from './errors.js';
+
+const DEFAULT_PROVIDER = 'openrouter';
+
+const providers = new Map();
+
+if (providerConfig.openrouter.apiKey) {
+    providers.set('openrouter', createOpenRouterProvider({ ...providerConfig.openrouter, timeoutMs: providerConfig.timeoutMs }));
+}
+if (providerConfig.local.baseUrl) {
+    providers.set('local', createOpenAICompatibleProvider({ name: 'local', ...providerConfig.local, timeoutMs: providerConfig.timeoutMs }));
+}
+providers.set('mock', createMockProvider());
+
+const modelCalls = createCounter('llm_requests_total', 'Upstream model calls by outcome', ['task', 'provider', 'model', 'outcome']);
+const modelLatency = createHistogram('llm_request_duration_seconds', 'Upstream model call latency', ['task', 'provider', 'model']);
+const modelTokens = createCounter('llm_tokens_total', 'Tokens used by upstream model calls', ['task', 'provider', 'model', 'type']);
+const modelCost = createCounter('llm_cost_usd_total', 'Reported or estimated cost of upstream model calls in USD', ['task', 'provider', 'model']);
+
+// The provider's own figure when it reports one, otherwise MODEL_PRICES
+// (USD per million tokens), otherwise unknown
+function estimateCost(provider, model, usage) {
+    if (usage.cost !== null && usage.cost !== undefined) return usage.cost;
+    const price = observabilityConfig.modelPrices[`${provider}:${model}`] || observabilityConfig.modelPrices[model];
+    if (!price) return null;
+    return (usage.promptTokens * (price.prompt || 0) + usage.completionTokens * (price.completion || 0)) / 1e6;
+}
+
+// Metrics, a log line and the request's running totals for one attempt
+function recordModelCall({ task, provider, model, outcome, seconds, usage = null, error = null }) {
+    const labels = { task, provider, model };
+    modelCalls.inc({ ...labels, outcome });
+    modelLatency.observe(labels, seconds);
+
+    const cost = usage ? estimateCost(provider, model, usage) : null;
+    if (usage) {
+        modelTokens.inc({ ...labels, type: 'prompt' }, usage.promptTokens);
+        modelTokens.inc({ ...labels, type: 'completion' }, usage.completionTokens);
+        if (cost !== null) modelCost.inc(labels, cost);
+    }
+
+    const totals = getContextUsage();
+    if (totals) {
+        totals.modelCalls += 1;
+        totals.modelMs += Math.round(seconds * 1000);
+        totals.promptTokens += usage?.promptTokens ?? 0;
+        totals.completionTokens += usage?.completionTokens ?? 0;
+        totals.costUsd += cost ?? 0;
+    }
+
+    const fields = {
+        ...labels,
+        outcome,
+        latencyMs: Math.round(seconds * 1000),
+        promptTokens: usage?.promptTokens,
+        completionTokens: usage?.completionTokens,
+        costUsd: cost ?? undefined,
+        error: error?.message
+    };
+    if (outcome === 'success') {
+        logger.info('Model call', fields);
+    } else {
+        logger.warn('Model call failed', fields);
+    }
+}
+
+// Splits `provider:model`. Model ids may contain colons themselves
+// (`meta-llama/llama-4-maverick:free`), so the prefix only counts as a
+// provider when it is one we know about.
+const KNOWN_PROVIDERS = new Set(['openrouter', 'local', 'mock']);
+
+function parseRouteEntry(entry) {
+    const separator = entry.indexOf(':');
+    const prefix = separator === -1 ? null : entry.slice(0, separator);
+    const route = KNOWN_PROVIDERS.has(prefix)
+        ? { provider: prefix, model: entry.slice(separator + 1) }
+        : { provider: DEFAULT_PROVIDER, model: entry };
+    if (providerConfig.forceProvider) route.provider = providerConfig.forceProvider;
+    return route;
+}
+
+// Tasks none of whose configured models has a provider set up (e.g. no
+// OPENROUTER_API_KEY). Used by the readiness check.
+export function findUnroutableTasks(tasks) {
+    return tasks.filter(task => !getModelRoute(task).map(parseRouteEntry).some(route => providers.has(route.provider)));
+}
+
+// The `provider:model` entries a task would be tried with, in order
+export function describeModelRoute(task) {
+    return getModelRoute(task).map(parseRouteEntry).map(({ provider, model }) => `${provider}:${model}`);
+}
+
+// Tries each model configured for the task in order. `attempt(provider, model)`
+// performs one call; `canFallBack(error)` decides whether to move on.
+async function withFailover(task, attempt, canFallBack) {
+    const routes = getModelRoute(task).map(parseRouteEntry);
+    if (routes.length === 0) {
+        throw new Error(`Server configuration error: no models configured for task "${task}".`);
+    }
+
+    let lastError = null;
+    for (const { provider: providerName, model } of routes) {
+        const provider = providers.get(providerName);
+        if (!provider) {
+            logger.warn('Skipping model: provider is not configured', { task, provider: providerName, model });
+            continue;
+        }
+
+        const started = performance.now();
+        const elapsed = () => (performance.now() - started) / 1000;
+        try {
+            const result = await attempt(provider, model);
+            recordModelCall({ task, provider: providerName, model, outcome: 'success', seconds: elapsed(), usage: result.usage });
+            return { content: result.content, model: result.model, provider: providerName, usage: result.usage ?? null };
+        } catch (error) {
+            // Providers wrap everything except the caller's own abort in ProviderError
+            const outcome = error instanceof ProviderError ? 'error' : 'aborted';
+            recordModelCall({ task, provider: providerName, model, outcome, seconds: elapsed(), error });
+            if (!(error instanceof ProviderError) || !error.retryable || !canFallBack(error)) throw error;
+            logger.warn('Model failed, trying next', { task, provider: providerName, model, error: error.message });
+            lastError = error;
+        }
+    }
+
+    if (!lastError) {
+        logger.error('No configured provider available', { task });
+        throw new Error('Server configuration error: API Key missing.');
+    }
+    throw lastError;
+}
+
+// Sends a chat completion payload (without `model`) for the given task, trying
+// each configured model in order. Falls back on rate limits, upstream 5xx and
+// timeouts; any other error is thrown straight away.
+// Resolves to { content, model, provider, usage } where usage is
+// { promptTokens, completionTokens, cost } or null if the provider sent none.
+export function callModel(task, payload, { signal } = {}) {
+    return withFailover(
+        task,
+        (provider, model) => provider.complete({ ...payload, model }, { signal, task }),
+        () => true
+    );
+}
+
+// Streaming variant of callModel: onToken(text) is called for each chunk as it
+// arrives. Falling back to the next model is only possible until the first
+// token has been passed on, since the client has already seen it.
+export function streamModel(task, payload, { signal, onToken } = {}) {
+    let emitted = false;
+    return withFailover(
+        task,
+        (provider, model) => provider.stream({ ...payload, model }, {
+            signal,
+            task,
+            onToken: (text) => {
+                emitted = true;
+                onToken?.(text);
+            }
+        }),
+        () => !emitted
+    );
+}
@@ -0,0 +1,82 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import { callModel, streamModel, describeModelRoute, ProviderError } from './index.js';
+import { setMockResponse } from './mock.js';
+
+// A task of our own so the routes set here can't leak into other suites
+const TASK = 'failover_test';
+const ROUTE_ENV = 'MODELS_FAILOVER_TEST';
+
+const payload = { messages: [{ role: 'user', content: 'Hello there' }] };
+
+afterEach(() => {
+    delete process.env[ROUTE_ENV];
+    setMockResponse(TASK, null);
+});
+
+describe('callModel', () => {
+    test('uses the first model when it answers', async () => {
+        process.env[ROUTE_ENV] = 'mock:first,mock:second';
+        const result = await callModel(TASK, payload);
+        expect(result).toMatchObject({ content: 'Hello there', model: 'first', provider: 'mock' });
+        expect(result.usage.promptTokens).toBeGreaterThan(0);
+    });
+
+    test('falls back on rate limits, upstream errors and timeouts', async () => {
+        process.env[ROUTE_ENV] = 'mock:fail-429,mock:fail-503,mock:timeout,mock:last';
+        const result = await callModel(TASK, payload);
+        expect(result.model).toBe('last');
+    });
+
+    test('throws a non-retryable error without trying the next model', async () => {
+        process.env[ROUTE_ENV] = 'mock:fail-400,mock:never';
+        const error = await callModel(TASK, payload).catch(e => e);
+        expect(error).toBeInstanceOf(ProviderError);
+        expect(error).toMatchObject({ status: 400, model: 'fail-400', retryable: false });
+    });
+
+    test('throws the last error when every model fails', async () => {
+        process.env[ROUTE_ENV] = 'mock:fail-500,mock:fail-429';
+        const error = await callModel(TASK, payload).catch(e => e);
+        expect(error).toBeInstanceOf(ProviderError);
+        expect(error.status).toBe(429);
+    });
+
+    test('fails clearly when the task has no models', async () => {
+        await expect(callModel('unrouted_test', payload)).rejects.toThrow('no models configured for task "unrouted_test"');
+    });
+
+    test('answers with the responder set for the task', async () => {
+        process.env[ROUTE_ENV] = 'mock:first';
+        setMockResponse(TASK, () => 'overridden');
+        expect((await callModel(TASK, payload)).content).toBe('overridden');
+    });
+});
+
+describe('streamModel', () => {
+    test('falls back before the first token and streams the answer', async () => {
+        process.env[ROUTE_ENV] = 'mock:fail-429,mock:second';
+        setMockResponse(TASK, () => 'a response long enough to arrive in several chunks');
+        const tokens = [];
+        const result = await streamModel(TASK, payload, { onToken: text => tokens.push(text) });
+        expect(result.model).toBe('second');
+        expect(tokens.length).toBeGreaterThan(1);
+        expect(tokens.join('')).toBe(result.content);
+    });
+
+    test('stops when the caller aborts', async () => {
+        process.env[ROUTE_ENV] = 'mock:first,mock:second';
+        const controller = new AbortController();
+        const reason = new Error('client went away');
+        controller.abort(reason);
+        await expect(streamModel(TASK, payload, { signal: controller.signal })).rejects.toBe(reason);
+    });
+});
+
+describe('describeModelRoute', () => {
+    test('keeps colons inside model ids', () => {
+        process.env[ROUTE_ENV] = 'mock:a,meta-llama/llama-4-maverick:free';
+        const [first, second] = describeModelRoute(TASK);
+        expect(first).toBe('mock:a');
+        expect(second.endsWith(':meta-llama/llama-4-maverick:free')).toBe(true);
+    });
+});
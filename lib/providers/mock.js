@@ -0,0 +1,108 @@
+import { ProviderError } from './errors.js';
+import { splitSentences } from '../text.js';
+
+// Deterministic provider for tests and local development. No network calls.
+// The model name controls failure behaviour so failover can be exercised:
+//   mock:fail-429, mock:fail-500 -> retryable HTTP errors
+//   mock:fail-400                -> non-retryable error
+//   mock:timeout                 -> retryable timeout
+// Any other model name answers with a canned response for the task.
+
+const MOCK_CRITERION = {
+    score: 6.5,
+    explanation: 'Mock explanation for this criterion.',
+    examples: ['"mock quote" - mock description of the issue.']
+};
+
+const cannedResponses = {
+    criteria: () => JSON.stringify({
+        CC: MOCK_CRITERION,
+        TA: MOCK_CRITERION,
+        LR: MOCK_CRITERION,
+        GRA: MOCK_CRITERION,
+        Overall: 6.5
+    }),
+    // Echo the submitted text back as its own "correction"
+    grammar: (payload) => {
+        const text = lastUserText(payload).split('Here is the text:').pop().trim();
+        return payload.response_format?.type === 'json_object' ? JSON.stringify({ corrected: text, edits: [] }) : text;
+    },
+    // Every sentence of the submitted response comes back "improved" unchanged
+    improvement: (payload) => JSON.stringify({
+        improvements: splitSentences(lastUserText(payload).split(/response:\s*/).pop()).map(s => ({
+            original: s.text,
+            improved: s.text,
+            changeTypes: ['clarity']
+        }))
+    }),
+    speaking: () => JSON.stringify({
+        FC: MOCK_CRITERION,
+        LR: MOCK_CRITERION,
+        GRA: MOCK_CRITERION,
+        P: MOCK_CRITERION,
+        Overall: 6.5
+    }),
+    transcription: () => 'Mock transcription of the handwritten answer.'
+};
+
+const STREAM_CHUNK_SIZE = 16;
+
+// Tests can swap in their own responder for a task
+const overrides = new Map();
+
+export function setMockResponse(task, responder) {
+    if (responder) {
+        overrides.set(task, responder);
+    } else {
+        overrides.delete(task);
+    }
+}
+
+function lastUserText(payload) {
+    const message = [...(payload.messages || [])].reverse().find(m => m.role === 'user');
+    if (!message) return '';
+    if (typeof message.content === 'string') return message.content;
+    return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+function baseTask(task) {
+    return String(task).split(':')[0];
+}
+
+export function createMockProvider() {
+    async function complete(payload, { task } = {}) {
+        const meta = { provider: 'mock', model: payload.model };
+        const failure = String(payload.model).match(/^fail-(\d{3})$/);
+        if (failure) {
+            const status = parseInt(failure[1], 10);
+            throw new ProviderError(`mock API error: ${status}`, { ...meta, status, retryable: status === 429 || status >= 500 });
+        }
+        if (payload.model === 'timeout') {
+            throw new ProviderError('mock request timed out', { ...meta, retryable: true });
+        }
+
+        const responder = overrides.get(task) || overrides.get(baseTask(task)) || cannedResponses[baseTask(task)];
+        const content = responder ? await responder(payload) : lastUserText(payload);
+        // Roughly four characters per token, so usage accounting has something to count
+        const usage = {
+            promptTokens: Math.ceil(JSON.stringify(payload.messages || []).length / 4),
+            completionTokens: Math.ceil(content.length / 4),
+            cost: 0
+        };
+        return { content, model: payload.model, usage };
+    }
+
+    // Replays the canned response in small chunks, yielding between them so
+    // aborts and client disconnects can be exercised
+    async function stream(payload, { signal, task, onToken } = {}) {
+        const result = await complete(payload, { task });
+        for (let i = 0; i < result.content.length; i += STREAM_CHUNK_SIZE) {
+            if (signal?.aborted) throw signal.reason;
+            onToken?.(result.content.slice(i, i + STREAM_CHUNK_SIZE));
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return result;
+    }
+
+    return { name: 'mock', complete, stream };
+}
@@ -0,0 +1,169 @@
+import { ProviderError, isRetryableStatus } from './errors.js';
+import { logger } from '../logger.js';
+
+// Provider error messages are cut to this length before they are logged or returned
+const MAX_ERROR_DETAIL_LENGTH = 300;
+
+// OpenAI-style token counts. OpenRouter also reports what it charged, in USD.
+function parseUsage(usage) {
+    if (!usage) return null;
+    return {
+        promptTokens: usage.prompt_tokens ?? 0,
+        completionTokens: usage.completion_tokens ?? 0,
+        cost: typeof usage.cost === 'number' ? usage.cost : null
+    };
+}
+
+// Any server exposing the OpenAI chat completions API: OpenRouter, a local
+// llama.cpp or Ollama server, vLLM, etc.
+export function createOpenAICompatibleProvider({ name, baseUrl, apiKey, headers = {}, timeoutMs }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    // Sends the request and throws ProviderError for anything but a 2xx.
+    // `timeout.signal` is aborted by the caller's own timer.
+    async function post(payload, { signal, timeout }) {
+        const combinedSignal = signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
+        const meta = { provider: name, model: payload.model };
+
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: "POST",
+                headers: {
+                    ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+                    ...headers,
+                    "Content-Type": "application/json"
+                },
+                body: JSON.stringify(payload),
+                signal: combinedSignal
+            });
+        } catch (error) {
+            throw toProviderError(error, meta, { signal, timeout });
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            // Only the provider's own error message is kept: the raw body can
+            // echo the prompt back, and this ends up in logs and responses
+            let detail = response.statusText || 'no error message';
+            try {
+                const message = JSON.parse(errorText).error?.message;
+                if (typeof message === 'string' && message) detail = message.slice(0, MAX_ERROR_DETAIL_LENGTH);
+            } catch (e) {
+                // Not JSON: keep the status text
+            }
+            logger.error('Provider API error', { ...meta, status: response.status, detail, bodyLength: errorText.length });
+            throw new ProviderError(`${name} API error: ${response.status} - ${detail}`, {
+                ...meta,
+                status: response.status,
+                retryable: isRetryableStatus(response.status)
+            });
+        }
+
+        return response;
+    }
+
+    function toProviderError(error, meta, { signal, timeout }) {
+        // Caller went away: not worth trying another model
+        if (signal?.aborted) return error;
+        if (timeout.signal.aborted) {
+            return new ProviderError(`${name} request timed out after ${timeoutMs}ms`, { ...meta, retryable: true });
+        }
+        // Connection refused, DNS failure and the like
+        return new ProviderError(`${name} request failed: ${error.message}`, { ...meta, retryable: true });
+    }
+
+    async function complete(payload, { signal } = {}) {
+        const timeout = new AbortController();
+        const timer = setTimeout(() => timeout.abort(), timeoutMs);
+
+        try {
+            const response = await post(payload, { signal, timeout });
+            const data = await response.json();
+            if (!data.choices || data.choices.length === 0 || !data.choices[0].message?.content) {
+                logger.error('Invalid provider response structure', { provider: name, model: payload.model, raw: data });
+                // Providers occasionally return an empty choice under load; another model may do better
+                throw new ProviderError(`Invalid response structure from ${name} API`, { provider: name, model: payload.model, retryable: true });
+            }
+
+            return {
+                content: data.choices[0].message.content,
+                model: data.model || payload.model,
+                usage: parseUsage(data.usage)
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Streams the completion, calling onToken(text) for each content delta.
+    // The timeout applies to silence between chunks rather than the whole
+    // response, since a long answer from a large model can take minutes.
+    async function stream(payload, { signal, onToken } = {}) {
+        const timeout = new AbortController();
+        let timer = setTimeout(() => timeout.abort(), timeoutMs);
+        const resetTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => timeout.abort(), timeoutMs);
+        };
+        const meta = { provider: name, model: payload.model };
+
+        try {
+            // include_usage adds a final chunk with the token counts
+            const response = await post({ ...payload, stream: true, stream_options: { include_usage: true } }, { signal, timeout });
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let content = '';
+            let model = payload.model;
+            let usage = null;
+
+            while (true) {
+                let chunk;
+                try {
+                    chunk = await reader.read();
+                } catch (error) {
+                    throw toProviderError(error, meta, { signal, timeout });
+                }
+                if (chunk.done) break;
+                resetTimer();
+
+                buffer += decoder.decode(chunk.value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const data = line.replace(/^data:\s*/, '').trim();
+                    // Blank keep-alives, SSE comments (": OPENROUTER PROCESSING") and the end marker
+                    if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+
+                    let event;
+                    try {
+                        event = JSON.parse(data);
+                    } catch (e) {
+                        continue;
+                    }
+                    if (event.error) {
+                        throw new ProviderError(`${name} stream error: ${event.error.message || 'unknown error'}`, { ...meta, retryable: !content });
+                    }
+                    if (event.model) model = event.model;
+                    if (event.usage) usage = parseUsage(event.usage);
+                    const delta = event.choices?.[0]?.delta?.content;
+                    if (delta) {
+                        content += delta;
+                        onToken?.(delta);
+                    }
+                }
+            }
+
+            if (!content) {
+                throw new ProviderError(`Empty streamed response from ${name} API`, { ...meta, retryable: true });
+            }
+            return { content, model, usage };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return { name, complete, stream };
+}
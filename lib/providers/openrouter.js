@@ -0,0 +1,17 @@
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+export function createOpenRouterProvider({ apiKey, siteUrl, siteName, timeoutMs }) {
+    return createOpenAICompatibleProvider({
+        name: 'openrouter',
+        baseUrl: OPENROUTER_BASE_URL,
+        apiKey,
+        timeoutMs,
+        // Used by OpenRouter for app attribution
+        headers: {
+            "HTTP-Referer": siteUrl,
+            "X-Title": siteName
+        }
+    });
+}
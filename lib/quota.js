@@ -0,0 +1,116 @@
+import { authConfig } from './config.js';
+import { logger, getContextUsage } from './logger.js';
+
+// --- Rate Limits & Daily Quotas ---
+// Per-minute limits use an in-memory sliding window (they only need to survive
+// a burst); daily quotas are counted in the store so a restart doesn't reset
+// them. Both are tracked per user and per cost class.
+//
+// A slot is taken when the request is let through, and handed back if the
+// request fails before any model was called: a 400 for a bad body or a
+// rejected upload costs nothing. Once a model has been called the slot stays
+// used whatever the outcome, so a request that reliably makes the model fail
+// can't be repeated for free. Taking the slot up front rather than at the end
+// keeps a burst of parallel requests from all slipping past the limit.
+
+const MINUTE_MS = 60 * 1000;
+
+export const COST_CLASSES = ['cheap', 'standard', 'expensive'];
+
+function utcDay(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+// User-specific limits override the plan's, one cost class at a time
+export function resolveLimits(user, costClass) {
+    const plan = authConfig.planLimits[user.plan] || authConfig.planLimits[authConfig.defaultPlan] || {};
+    return { ...(plan[costClass] || {}), ...(user.limits?.[costClass] || {}) };
+}
+
+export function createQuotaEnforcer(store) {
+    const windows = new Map(); // `${userId}|${costClass}` -> request timestamps in the last minute
+
+    function recentRequests(key, now) {
+        const timestamps = (windows.get(key) || []).filter(t => now - t < MINUTE_MS);
+        // Drop idle users so the map doesn't grow without bound
+        if (timestamps.length === 0) {
+            windows.delete(key);
+        } else {
+            windows.set(key, timestamps);
+        }
+        return timestamps;
+    }
+
+    // Hands back the slot of a request that failed without calling a model
+    async function refund({ userId, costClass, windowKey, timestamp, day }) {
+        const recent = windows.get(windowKey);
+        const index = recent ? recent.indexOf(timestamp) : -1;
+        if (index !== -1) recent.splice(index, 1);
+        try {
+            await store.decrementDailyUsage(userId, costClass, day);
+        } catch (error) {
+            logger.error('Error refunding quota', { costClass, userId, error: error.message });
+        }
+    }
+
+    // Middleware factory: app.post('/api/grammar', enforceQuota('cheap'), handler)
+    return function enforceQuota(costClass) {
+        if (!COST_CLASSES.includes(costClass)) {
+            throw new Error(`Unknown cost class "${costClass}"`);
+        }
+
+        return async function quota(req, res, next) {
+            const user = req.user;
+            const { perMinute, perDay } = resolveLimits(user, costClass);
+            const now = Date.now();
+            const windowKey = `${user.id}|${costClass}`;
+            const day = utcDay(now);
+
+            try {
+                const recent = recentRequests(windowKey, now);
+                if (perMinute != null && recent.length >= perMinute) {
+                    const retryAfter = Math.max(1, Math.ceil((recent[0] + MINUTE_MS - now) / 1000));
+                    res.set('Retry-After', String(retryAfter));
+                    res.set('X-RateLimit-Remaining', '0');
+                    return res.status(429).json({ error: `Rate limit exceeded for ${costClass} requests`, costClass, retryAfter });
+                }
+
+                const used = await store.getDailyUsage(user.id, costClass, day);
+                if (perDay != null && used >= perDay) {
+                    const retryAfter = secondsUntilUtcMidnight(now);
+                    res.set('Retry-After', String(retryAfter));
+                    res.set('X-Quota-Remaining', '0');
+                    return res.status(429).json({ error: `Daily quota exceeded for ${costClass} requests`, costClass, retryAfter });
+                }
+
+                recent.push(now);
+                windows.set(windowKey, recent);
+                const count = await store.incrementDailyUsage(user.id, costClass, day);
+                if (perMinute != null) res.set('X-RateLimit-Remaining', String(Math.max(0, perMinute - recent.length)));
+                if (perDay != null) res.set('X-Quota-Remaining', String(Math.max(0, perDay - count)));
+
+                // The request's model usage totals (see requestObservability). Without
+                // them there is no telling whether a model was called, so nothing is refunded.
+                const usage = getContextUsage();
+                // SSE routes send their errors under a 200 header and record the real
+                // status. A client that disconnects gets nothing back either.
+                res.on('finish', () => {
+                    const status = res.locals.failedStatus ?? res.statusCode;
+                    if (status >= 400 && usage?.modelCalls === 0) {
+                        refund({ userId: user.id, costClass, windowKey, timestamp: now, day });
+                    }
+                });
+                return next();
+            } catch (error) {
+                logger.error('Error enforcing quota', { costClass, userId: user.id, error: error.message });
+                return res.status(500).json({ error: 'An error occurred while checking usage limits' });
+            }
+        };
+    };
+}
@@ -0,0 +1,162 @@
+import { describe, expect, test } from 'bun:test';
+import { createQuotaEnforcer, resolveLimits } from './quota.js';
+import { createMemoryStore } from './storage/memory.js';
+import { withLogContext } from './logger.js';
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        locals: {},
+        listeners: [],
+        on(event, listener) {
+            if (event === 'finish') this.listeners.push(listener);
+            return this;
+        },
+        // Ends the response the way the route handler would
+        finish(status) {
+            this.statusCode = status;
+            this.listeners.forEach(listener => listener());
+        },
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+function newUsage() {
+    return { modelCalls: 0, modelMs: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+// Runs the quota middleware once, inside a request context as the server does;
+// resolves to the response, with `passed` set when it called next(). The route
+// is assumed to succeed without a model call unless `status`/`modelCalls` say otherwise.
+async function runQuota(middleware, user, { status = 200, modelCalls = 0 } = {}) {
+    const res = fakeResponse();
+    const usage = newUsage();
+    let passed = false;
+    await withLogContext({}, () => middleware({ user }, res, () => { passed = true; }), { usage });
+    usage.modelCalls = modelCalls;
+    if (passed) res.finish(status);
+    // Let a refund reach the store
+    await Bun.sleep(0);
+    return { ...res, passed };
+}
+
+describe('resolveLimits', () => {
+    test('lets user limits override the plan one cost class at a time', () => {
+        const user = { id: 'u1', plan: 'free', limits: { cheap: { perDay: 500 } } };
+        expect(resolveLimits(user, 'cheap')).toEqual({ perMinute: 10, perDay: 500 });
+        expect(resolveLimits(user, 'expensive')).toEqual({ perMinute: 2, perDay: 10 });
+    });
+
+    test('falls back to the default plan for an unknown one', () => {
+        expect(resolveLimits({ id: 'u1', plan: 'gold' }, 'standard')).toEqual({ perMinute: 5, perDay: 30 });
+    });
+});
+
+describe('enforceQuota', () => {
+    test('rejects unknown cost classes up front', () => {
+        const enforceQuota = createQuotaEnforcer(createMemoryStore());
+        expect(() => enforceQuota('premium')).toThrow('Unknown cost class "premium"');
+    });
+
+    test('allows requests up to the per-minute limit, then answers 429', async () => {
+        const quota = createQuotaEnforcer(createMemoryStore())('cheap');
+        const user = { id: 'minute', plan: 'free', limits: { cheap: { perMinute: 2, perDay: null } } };
+
+        const first = await runQuota(quota, user);
+        expect(first.passed).toBe(true);
+        expect(first.headers['X-RateLimit-Remaining']).toBe('1');
+        expect((await runQuota(quota, user)).passed).toBe(true);
+
+        const third = await runQuota(quota, user);
+        expect(third.passed).toBe(false);
+        expect(third.statusCode).toBe(429);
+        expect(third.body.costClass).toBe('cheap');
+        expect(Number(third.headers['Retry-After'])).toBeGreaterThan(0);
+    });
+
+    test('counts the daily quota in the store', async () => {
+        const store = createMemoryStore();
+        const quota = createQuotaEnforcer(store)('expensive');
+        const user = { id: 'daily', plan: 'free', limits: { expensive: { perMinute: null, perDay: 2 } } };
+
+        await runQuota(quota, user);
+        const second = await runQuota(quota, user);
+        expect(second.headers['X-Quota-Remaining']).toBe('0');
+
+        const third = await runQuota(quota, user);
+        expect(third.statusCode).toBe(429);
+        expect(third.body.error).toBe('Daily quota exceeded for expensive requests');
+
+        // A fresh enforcer (e.g. after a restart) still sees the stored count
+        expect((await runQuota(createQuotaEnforcer(store)('expensive'), user)).statusCode).toBe(429);
+    });
+
+    test('tracks users and cost classes separately', async () => {
+        const enforceQuota = createQuotaEnforcer(createMemoryStore());
+        const limits = { cheap: { perMinute: 1 }, standard: { perMinute: 1 } };
+        const alice = { id: 'alice', plan: 'free', limits };
+        const bob = { id: 'bob', plan: 'free', limits };
+
+        expect((await runQuota(enforceQuota('cheap'), alice)).passed).toBe(true);
+        expect((await runQuota(enforceQuota('cheap'), alice)).passed).toBe(false);
+        expect((await runQuota(enforceQuota('standard'), alice)).passed).toBe(true);
+        expect((await runQuota(enforceQuota('cheap'), bob)).passed).toBe(true);
+    });
+
+    test('hands the slot back when the request fails before calling a model', async () => {
+        const store = createMemoryStore();
+        const quota = createQuotaEnforcer(store)('expensive');
+        const user = { id: 'refund', plan: 'free', limits: { expensive: { perMinute: 1, perDay: 1 } } };
+
+        expect((await runQuota(quota, user, { status: 400 })).passed).toBe(true);
+        expect((await runQuota(quota, user, { status: 502 })).passed).toBe(true);
+        expect(await store.getDailyUsage('refund', 'expensive', new Date().toISOString().slice(0, 10))).toBe(0);
+
+        expect((await runQuota(quota, user)).passed).toBe(true);
+        expect((await runQuota(quota, user)).statusCode).toBe(429);
+    });
+
+    test('refunds a streamed request that failed under a 200 header', async () => {
+        const store = createMemoryStore();
+        const quota = createQuotaEnforcer(store)('standard');
+        const user = { id: 'stream', plan: 'free', limits: { standard: { perMinute: 1 } } };
+
+        const res = fakeResponse();
+        await withLogContext({}, () => quota({ user }, res, () => {}), { usage: newUsage() });
+        res.locals.failedStatus = 500;
+        res.finish(200);
+        await Bun.sleep(0);
+        expect((await runQuota(quota, user)).passed).toBe(true);
+    });
+
+    test('still charges a request that failed after calling a model', async () => {
+        const store = createMemoryStore();
+        const quota = createQuotaEnforcer(store)('expensive');
+        const user = { id: 'charged', plan: 'free', limits: { expensive: { perMinute: 5, perDay: 1 } } };
+
+        // e.g. an invalid score report even after the repair call
+        expect((await runQuota(quota, user, { status: 502, modelCalls: 2 })).passed).toBe(true);
+        expect(await store.getDailyUsage('charged', 'expensive', new Date().toISOString().slice(0, 10))).toBe(1);
+        expect((await runQuota(quota, user)).statusCode).toBe(429);
+    });
+
+    test('answers 500 when the store fails', async () => {
+        const store = { ...createMemoryStore(), getDailyUsage: async () => { throw new Error('disk full'); } };
+        const result = await runQuota(createQuotaEnforcer(store)('cheap'), { id: 'u1', plan: 'free' });
+        expect(result.statusCode).toBe(500);
+        expect(result.passed).toBe(false);
+    });
+});
@@ -0,0 +1,114 @@
+import { callModel, streamModel } from './providers/index.js';
+
+// --- Response Channels ---
+// Route helpers talk to a responder instead of `res` directly, so the same
+// code answers with plain JSON or, for routes ending in /stream, as a
+// Server-Sent Events stream:
+//   event: progress  { stage, ... }
+//   event: token     { text }            raw model output as it arrives
+//   event: result    { ...payload }      the same validated body the JSON route returns
+//   event: error     { status, error, ... }
+//
+// complete(task, payload, { signal }) uses the request's own signal unless
+// given another one (a model call shared by several requests has its own).
+
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+export function isStreamRequest(req) {
+    return req.path.endsWith('/stream');
+}
+
+function createJsonResponder(res, signal) {
+    return {
+        signal,
+        complete: (task, payload, { signal: callSignal = signal } = {}) => callModel(task, payload, { signal: callSignal }),
+        progress() {},
+        // Nobody is listening once the client has gone
+        send: (body) => signal.aborted || res.json(body),
+        fail: (status, body) => signal.aborted || res.status(status).json(body)
+    };
+}
+
+function createSseResponder(res, signal) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders?.();
+
+    // Comments keep idle proxies from closing the connection while the model thinks
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+    res.on('close', () => clearInterval(heartbeat));
+
+    function write(event, data) {
+        if (res.writableEnded || signal.aborted) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function end(event, data) {
+        write(event, data);
+        clearInterval(heartbeat);
+        if (!res.writableEnded) res.end();
+    }
+
+    return {
+        signal,
+        // onToken lets the caller watch the output, e.g. to report which criterion is being scored
+        complete: (task, payload, { onToken, signal: callSignal = signal } = {}) => streamModel(task, payload, {
+            signal: callSignal,
+            onToken: (text) => {
+                write('token', { text });
+                onToken?.(text);
+            }
+        }),
+        progress: (stage, detail = {}) => write('progress', { stage, ...detail }),
+        send: (body) => end('result', body),
+        fail: (status, body) => {
+            // The header already said 200; quota refunds go by this instead
+            res.locals.failedStatus = status;
+            end('error', { status, ...body });
+        }
+    };
+}
+
+export function createResponder(req, res) {
+    const controller = new AbortController();
+    // A client disconnect cancels the upstream model request
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort(new Error('Client disconnected'));
+    });
+
+    return isStreamRequest(req)
+        ? createSseResponder(res, controller.signal)
+        : createJsonResponder(res, controller.signal);
+}
+
+export class ResponseError extends Error {
+    constructor(status, body) {
+        super(body.error || `Request failed with status ${status}`);
+        this.name = 'ResponseError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// Runs a responder-based helper outside of an HTTP request (background jobs,
+// combined reports). Resolves with whatever the helper sends and rejects with
+// a ResponseError for whatever it fails with.
+export function collect(fn, { signal = new AbortController().signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const out = {
+            signal,
+            complete: (task, payload, { signal: callSignal = signal } = {}) => callModel(task, payload, { signal: callSignal }),
+            progress() {},
+            send: resolve,
+            fail: (status, body) => reject(new ResponseError(status, body))
+        };
+        Promise.resolve()
+            .then(() => fn(out))
+            .catch(reject);
+    });
+}
@@ -0,0 +1,147 @@
+import { extractJson } from './json.js';
+import { logger } from './logger.js';
+
+// --- Band Score Schema ---
+// Shared validation for the CC/TA/LR/GRA/Overall reports returned by the
+// criteria endpoints (and the FC/LR/GRA/P speaking reports, via `criteria`).
+// Scores are normalised to IELTS half-bands and Overall is always recomputed
+// here rather than trusted from the model.
+
+export const CRITERIA = ['CC', 'TA', 'LR', 'GRA'];
+
+const MIN_BAND = 0;
+const MAX_BAND = 9;
+
+// Number of extra "please fix your JSON" calls made after the first attempt
+const MAX_REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.SCORING_MAX_REPAIR_ATTEMPTS ?? '1', 10) || 0);
+
+export class ScoringValidationError extends Error {
+    constructor(fields, raw) {
+        super('AI service returned an invalid score report');
+        this.name = 'ScoringValidationError';
+        this.fields = fields; // [{ field, message }]
+        this.raw = raw;
+    }
+}
+
+// Clamp to 0-9 and round to the nearest half band
+export function toHalfBand(value) {
+    const clamped = Math.min(MAX_BAND, Math.max(MIN_BAND, value));
+    return Math.round(clamped * 2) / 2;
+}
+
+// Official IELTS rounding: the mean of the four criteria is rounded to the
+// nearest half band, with .25 rounding up to .5 and .75 up to the next band.
+export function computeOverall(scores) {
+    const mean = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+    // The epsilon guards against values like 6.2499999 from float arithmetic
+    return Math.floor(mean * 2 + 0.5 + 1e-9) / 2;
+}
+
+function parseScore(raw) {
+    if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+    if (typeof raw === 'string') {
+        // Accept "6.5", "Band 6.5" or "6.5/9"
+        const match = raw.match(/-?\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : null;
+    }
+    return null;
+}
+
+function normaliseExample(example) {
+    if (typeof example === 'string') return example.trim();
+    // Some models split the quote and description despite being told not to
+    if (example && typeof example === 'object') {
+        const parts = [example.quote, example.description ?? example.issue]
+            .filter(p => typeof p === 'string' && p.trim());
+        return parts.length ? parts.map(p => p.trim()).join(' - ') : null;
+    }
+    return null;
+}
+
+// Returns { report, errors }. `report` is only set when there are no errors.
+export function validateScoreReport(data, { criteria = CRITERIA } = {}) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { report: null, errors: [{ field: '$', message: 'Response is not a JSON object' }] };
+    }
+
+    const report = {};
+
+    for (const key of criteria) {
+        const criterion = data[key];
+        if (!criterion || typeof criterion !== 'object') {
+            errors.push({ field: key, message: 'Missing criterion object' });
+            continue;
+        }
+
+        const score = parseScore(criterion.score);
+        if (score === null) {
+            errors.push({ field: `${key}.score`, message: 'Score must be a number from 0 to 9' });
+        }
+
+        const explanation = typeof criterion.explanation === 'string' ? criterion.explanation.trim() : '';
+        if (!explanation) {
+            errors.push({ field: `${key}.explanation`, message: 'Explanation must be a non-empty string' });
+        }
+
+        let examples = criterion.examples;
+        if (typeof examples === 'string') examples = [examples];
+        if (!Array.isArray(examples)) {
+            errors.push({ field: `${key}.examples`, message: 'Examples must be an array of strings' });
+            examples = [];
+        }
+        examples = examples.map(normaliseExample).filter(Boolean);
+
+        if (score !== null && explanation) {
+            report[key] = { score: toHalfBand(score), explanation, examples };
+        }
+    }
+
+    if (errors.length > 0) {
+        return { report: null, errors };
+    }
+
+    report.Overall = computeOverall(criteria.map(key => report[key].score));
+    return { report, errors };
+}
+
+function buildRepairMessage(errors, criteria) {
+    const list = errors.map(e => `- ${e.field}: ${e.message}`).join('\n');
+    return `Your previous response did not match the required schema:\n${list}\n\nReturn the corrected response as pure JSON with the objects ${criteria.join(', ')} (each with 'score', 'explanation' and 'examples') and Overall. Do not include anything before or after the JSON.`;
+}
+
+// Asks the model for a score report, making up to MAX_REPAIR_ATTEMPTS follow-up
+// calls when the output is malformed. `complete(messages)` must resolve to
+// { content, model }. Resolves to { report, model } where `model` produced the
+// accepted answer. Throws ScoringValidationError if repairs are exhausted.
+// `onRepair(fields)` is called before each repair attempt; `criteria` overrides
+// the writing criteria for other modules.
+export async function requestScoreReport(complete, prompt, { onRepair, criteria = CRITERIA } = {}) {
+    const messages = [{ role: 'user', content: prompt }];
+    let lastErrors = [];
+    let lastRaw = null;
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const { content: raw, model } = await complete(messages);
+        const parsed = extractJson(raw);
+        const { report, errors } = parsed === null
+            ? { report: null, errors: [{ field: '$', message: 'Response is not valid JSON' }] }
+            : validateScoreReport(parsed, { criteria });
+
+        if (report) return { report, model };
+
+        logger.warn('Score report failed validation', { attempt: attempt + 1, errors });
+        lastErrors = errors;
+        lastRaw = raw;
+        if (attempt === MAX_REPAIR_ATTEMPTS) break;
+        onRepair?.(errors);
+        messages.push(
+            { role: 'assistant', content: String(raw) },
+            { role: 'user', content: buildRepairMessage(errors, criteria) }
+        );
+    }
+
+    throw new ScoringValidationError(lastErrors, lastRaw);
+}
@@ -0,0 +1,108 @@
+import { describe, expect, test } from 'bun:test';
+import { computeOverall, toHalfBand, validateScoreReport, requestScoreReport, ScoringValidationError } from './scoring.js';
+
+function criterion(score, extra = {}) {
+    return { score, explanation: 'Explanation.', examples: ['"quote" - description.'], ...extra };
+}
+
+describe('toHalfBand', () => {
+    test('rounds to the nearest half band', () => {
+        expect(toHalfBand(6.2)).toBe(6);
+        expect(toHalfBand(6.3)).toBe(6.5);
+        expect(toHalfBand(6.75)).toBe(7);
+    });
+
+    test('clamps to 0-9', () => {
+        expect(toHalfBand(-2)).toBe(0);
+        expect(toHalfBand(11)).toBe(9);
+    });
+});
+
+describe('computeOverall', () => {
+    test('rounds .25 up to .5 and .75 up to the next band', () => {
+        expect(computeOverall([6, 6, 6, 7])).toBe(6.5); // 6.25
+        expect(computeOverall([6.5, 6.5, 6.5, 7.5])).toBe(7); // 6.75
+    });
+
+    test('rounds below .25 down and below .75 to .5', () => {
+        expect(computeOverall([6, 6, 6, 6.5])).toBe(6); // 6.125
+        expect(computeOverall([6.5, 6.5, 6.5, 7])).toBe(6.5); // 6.625
+    });
+
+    test('keeps exact half bands', () => {
+        expect(computeOverall([5.5, 5.5, 5.5, 5.5])).toBe(5.5);
+    });
+});
+
+describe('validateScoreReport', () => {
+    test('normalises scores and recomputes Overall', () => {
+        const { report, errors } = validateScoreReport({
+            CC: criterion('Band 6'),
+            TA: criterion('7/9'),
+            LR: criterion(6.3),
+            GRA: criterion(6),
+            Overall: 9
+        });
+        expect(errors).toEqual([]);
+        expect(report.CC.score).toBe(6);
+        expect(report.TA.score).toBe(7);
+        expect(report.LR.score).toBe(6.5);
+        expect(report.Overall).toBe(6.5); // mean 6.375
+    });
+
+    test('flattens object examples and wraps a single string', () => {
+        const { report } = validateScoreReport({
+            CC: criterion(6, { examples: [{ quote: '"a"', description: 'b' }] }),
+            TA: criterion(6, { examples: 'only one' }),
+            LR: criterion(6),
+            GRA: criterion(6)
+        });
+        expect(report.CC.examples).toEqual(['"a" - b']);
+        expect(report.TA.examples).toEqual(['only one']);
+    });
+
+    test('reports every problem by field', () => {
+        const { report, errors } = validateScoreReport({
+            CC: criterion('n/a'),
+            TA: criterion(6, { explanation: ' ' }),
+            LR: criterion(6, { examples: 3 })
+        });
+        expect(report).toBeNull();
+        expect(errors.map(e => e.field)).toEqual(['CC.score', 'TA.explanation', 'LR.examples', 'GRA']);
+    });
+
+    test('rejects anything but an object', () => {
+        expect(validateScoreReport([]).errors).toEqual([{ field: '$', message: 'Response is not a JSON object' }]);
+    });
+
+    test('validates the criteria it is given', () => {
+        const { report } = validateScoreReport({ FC: criterion(7), P: criterion(6) }, { criteria: ['FC', 'P'] });
+        expect(Object.keys(report)).toEqual(['FC', 'P', 'Overall']);
+        expect(report.Overall).toBe(6.5);
+    });
+});
+
+describe('requestScoreReport', () => {
+    const valid = JSON.stringify({ CC: criterion(6), TA: criterion(6), LR: criterion(7), GRA: criterion(7) });
+
+    test('asks the model to repair an invalid response', async () => {
+        const calls = [];
+        const repairs = [];
+        const complete = async (messages) => {
+            calls.push(messages.map(m => m.role));
+            return { content: calls.length === 1 ? 'not json' : valid, model: 'mock' };
+        };
+
+        const { report } = await requestScoreReport(complete, 'prompt', { onRepair: fields => repairs.push(fields) });
+        expect(report.Overall).toBe(6.5);
+        expect(calls).toEqual([['user'], ['user', 'assistant', 'user']]);
+        expect(repairs).toEqual([[{ field: '$', message: 'Response is not valid JSON' }]]);
+    });
+
+    test('gives up once repairs are exhausted', async () => {
+        const complete = async () => ({ content: '{"CC": {}}', model: 'mock' });
+        const error = await requestScoreReport(complete, 'prompt').catch(e => e);
+        expect(error).toBeInstanceOf(ScoringValidationError);
+        expect(error.fields.map(f => f.field)).toContain('CC.score');
+    });
+});
@@ -0,0 +1,112 @@
+// --- Speaking Assessment ---
+// Fluency statistics computed from timestamped transcripts. The model sees
+// these numbers alongside the transcript, since it cannot hear the recording.
+
+export const SPEAKING_CRITERIA = ['FC', 'LR', 'GRA', 'P'];
+
+export const SPEAKING_PARTS = [1, 2, 3];
+
+// Silence between two words at least this long counts as a pause
+const PAUSE_THRESHOLD_SECONDS = 1;
+
+// Matched on whole, lower-cased words with punctuation stripped. "like" is
+// left out: it is far more often a verb or preposition than a filler.
+const SINGLE_WORD_FILLERS = new Set(['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'ah', 'hmm', 'mm']);
+const MULTI_WORD_FILLERS = [['you', 'know'], ['i', 'mean'], ['sort', 'of'], ['kind', 'of']];
+
+function normalizeWord(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}']+/gu, '');
+}
+
+function round(value, places = 1) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Raw counts for one recording, kept separate from the derived rates so the
+// parts of a test can be added up before dividing
+function tally({ words, duration }) {
+    const normalized = words.map(w => normalizeWord(w.text)).filter(Boolean);
+    const fillerCounts = {};
+
+    for (let i = 0; i < normalized.length; i++) {
+        if (SINGLE_WORD_FILLERS.has(normalized[i])) {
+            fillerCounts[normalized[i]] = (fillerCounts[normalized[i]] || 0) + 1;
+            continue;
+        }
+        const phrase = MULTI_WORD_FILLERS.find(parts => parts.every((part, j) => normalized[i + j] === part));
+        if (phrase) {
+            const key = phrase.join(' ');
+            fillerCounts[key] = (fillerCounts[key] || 0) + 1;
+            i += phrase.length - 1;
+        }
+    }
+
+    // Only silences between words count; leading and trailing silence is
+    // recording overhead, not hesitation
+    const pauses = [];
+    for (let i = 1; i < words.length; i++) {
+        const gap = words[i].start - words[i - 1].end;
+        if (gap >= PAUSE_THRESHOLD_SECONDS) pauses.push(gap);
+    }
+
+    const speakingTime = words.length ? words[words.length - 1].end - words[0].start : 0;
+
+    return {
+        duration: Math.max(duration || 0, speakingTime),
+        speakingTime,
+        wordCount: normalized.length,
+        fillerCounts,
+        pauses
+    };
+}
+
+function toStats({ duration, speakingTime, wordCount, fillerCounts, pauses }) {
+    const minutes = duration / 60;
+    const fillerTotal = Object.values(fillerCounts).reduce((sum, n) => sum + n, 0);
+    const pauseTotal = pauses.reduce((sum, p) => sum + p, 0);
+    // Words per minute of actual speech, i.e. with the long pauses taken out
+    const articulationMinutes = (speakingTime - pauseTotal) / 60;
+
+    return {
+        durationSeconds: round(duration),
+        speakingSeconds: round(speakingTime),
+        wordCount,
+        wordsPerMinute: minutes > 0 ? round(wordCount / minutes) : 0,
+        articulationRate: articulationMinutes > 0 ? round(wordCount / articulationMinutes) : 0,
+        fillers: {
+            total: fillerTotal,
+            perMinute: minutes > 0 ? round(fillerTotal / minutes) : 0,
+            ratio: wordCount > 0 ? round(fillerTotal / wordCount, 3) : 0,
+            counts: fillerCounts
+        },
+        pauses: {
+            thresholdSeconds: PAUSE_THRESHOLD_SECONDS,
+            count: pauses.length,
+            totalSeconds: round(pauseTotal),
+            longestSeconds: round(pauses.length ? Math.max(...pauses) : 0),
+            perMinute: minutes > 0 ? round(pauses.length / minutes) : 0
+        }
+    };
+}
+
+// `transcript` is what lib/speech returns: { words: [{ text, start, end }], duration }
+export function computeSpeechStats(transcript) {
+    return toStats(tally(transcript));
+}
+
+// Stats for a whole test, weighting every part by its length
+export function combineSpeechStats(transcripts) {
+    const total = { duration: 0, speakingTime: 0, wordCount: 0, fillerCounts: {}, pauses: [] };
+    for (const transcript of transcripts) {
+        const part = tally(transcript);
+        total.duration += part.duration;
+        total.speakingTime += part.speakingTime;
+        total.wordCount += part.wordCount;
+        total.pauses.push(...part.pauses);
+        for (const [filler, count] of Object.entries(part.fillerCounts)) {
+            total.fillerCounts[filler] = (total.fillerCounts[filler] || 0) + count;
+        }
+    }
+    return toStats(total);
+}
@@ -0,0 +1,10 @@
+// Errors thrown by speech-to-text backends. `status` is the HTTP status the
+// route should answer with: 503 when the backend is not set up, 422 when the
+// recording itself could not be decoded, 502 for anything else.
+export class SpeechToTextError extends Error {
+    constructor(message, { status = 502 } = {}) {
+        super(message);
+        this.name = 'SpeechToTextError';
+        this.status = status;
+    }
+}
@@ -0,0 +1,36 @@
+import { speechConfig } from '../config.js';
+import { SpeechToTextError } from './errors.js';
+import { createWhisperTranscriber } from './whisper.js';
+import { createMockTranscriber } from './mock.js';
+
+export { SpeechToTextError } from './errors.js';
+
+// --- Speech-to-Text ---
+// Every backend exposes transcribe(filePath, { signal }) resolving to
+//   { text, words: [{ text, start, end }], duration, model }
+// with times in seconds from the start of the recording.
+
+let transcriber = null;
+
+function getTranscriber() {
+    if (transcriber) return transcriber;
+    switch (speechConfig.driver) {
+        case 'whisper':
+            transcriber = createWhisperTranscriber({
+                ...speechConfig.whisper,
+                ffmpegBin: speechConfig.ffmpegBin,
+                timeoutMs: speechConfig.timeoutMs
+            });
+            break;
+        case 'mock':
+            transcriber = createMockTranscriber();
+            break;
+        default:
+            throw new SpeechToTextError(`Server configuration error: unknown SPEECH_DRIVER "${speechConfig.driver}".`, { status: 503 });
+    }
+    return transcriber;
+}
+
+export function transcribeAudio(filePath, { signal } = {}) {
+    return getTranscriber().transcribe(filePath, { signal });
+}
@@ -0,0 +1,25 @@
+// Deterministic backend for tests and local development. Ignores the audio
+// and returns the same short answer every time, with a couple of fillers and
+// one long pause so the fluency statistics have something to count.
+
+const MOCK_WORDS = [
+    ['Well,', 0.4, 0.7], ['I', 0.8, 0.9], ['grew', 0.9, 1.2], ['up', 1.2, 1.4],
+    ['in', 1.4, 1.5], ['a', 1.5, 1.6], ['small', 1.6, 2.0], ['town,', 2.0, 2.4],
+    ['um,', 2.6, 3.0], ['near', 3.1, 3.4], ['the', 3.4, 3.5], ['coast.', 3.5, 4.0],
+    ['It', 5.6, 5.8], ['was', 5.8, 6.0], ['quiet', 6.0, 6.4], ['and,', 6.4, 6.7],
+    ['you', 6.8, 6.9], ['know,', 6.9, 7.2], ['very', 7.3, 7.6], ['friendly.', 7.6, 8.2]
+];
+
+export function createMockTranscriber() {
+    async function transcribe() {
+        const words = MOCK_WORDS.map(([text, start, end]) => ({ text, start, end }));
+        return {
+            text: words.map(w => w.text).join(' '),
+            words,
+            duration: 9,
+            model: 'mock'
+        };
+    }
+
+    return { name: 'mock', transcribe };
+}
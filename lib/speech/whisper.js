@@ -0,0 +1,90 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { SpeechToTextError } from './errors.js';
+import { logger } from '../logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// 16 kHz, mono, 16-bit PCM: what whisper.cpp expects
+const WAV_BYTES_PER_SECOND = 16000 * 2;
+const WAV_HEADER_BYTES = 44;
+
+// whisper drops hesitations unless the initial prompt contains some, and the
+// filler statistics depend on them being transcribed
+const DISFLUENT_PROMPT = 'Umm, let me think, uh... Well, I mean, er, it was like, you know, hmm.';
+
+// Runs a local whisper.cpp build (`whisper-cli`, formerly `main`). With
+// --max-len 1 --split-on-word every output segment is a single word, which
+// gives the word-level timestamps the fluency statistics are built from.
+export function createWhisperTranscriber({ bin, model, language, threads, ffmpegBin, timeoutMs }) {
+    if (!model) {
+        throw new SpeechToTextError('Server configuration error: WHISPER_MODEL is not set.', { status: 503 });
+    }
+
+    async function run(file, args, { signal, what }) {
+        try {
+            return await execFileAsync(file, args, { signal, timeout: timeoutMs, maxBuffer: 16 * 1024 * 1024 });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            if (error.code === 'ENOENT') {
+                throw new SpeechToTextError(`Server configuration error: ${file} was not found.`, { status: 503 });
+            }
+            if (error.killed) {
+                throw new SpeechToTextError(`${what} timed out after ${timeoutMs}ms`);
+            }
+            logger.error(`${what} failed`, { error: error.stderr || error.message });
+            throw new SpeechToTextError(`${what} failed`, { status: what === 'Audio conversion' ? 422 : 502 });
+        }
+    }
+
+    async function transcribe(filePath, { signal } = {}) {
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+        const wavPath = path.join(workDir, 'input.wav');
+        const outBase = path.join(workDir, 'output');
+
+        try {
+            await run(ffmpegBin, ['-nostdin', '-y', '-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], {
+                signal,
+                what: 'Audio conversion'
+            });
+
+            await run(bin, [
+                '-m', model,
+                '-f', wavPath,
+                '-l', language,
+                '-t', String(threads),
+                '--max-len', '1',
+                '--split-on-word',
+                '--prompt', DISFLUENT_PROMPT,
+                '--output-json',
+                '--output-file', outBase,
+                '--no-prints'
+            ], { signal, what: 'Speech recognition' });
+
+            const output = await fs.readJson(`${outBase}.json`);
+            const words = (output.transcription || [])
+                .map(segment => ({
+                    text: segment.text.trim(),
+                    start: segment.offsets.from / 1000,
+                    end: segment.offsets.to / 1000
+                }))
+                // Blank segments and bracketed annotations such as [BLANK_AUDIO] or (laughs)
+                .filter(word => word.text && !/^[\[(].*[\])]$/.test(word.text));
+
+            const { size } = await fs.stat(wavPath);
+            return {
+                text: words.map(w => w.text).join(' '),
+                words,
+                duration: Math.max(0, size - WAV_HEADER_BYTES) / WAV_BYTES_PER_SECOND,
+                model: path.basename(model)
+            };
+        } finally {
+            await fs.remove(workDir).catch(err => logger.error('Failed to delete whisper work dir', { workDir, error: err }));
+        }
+    }
+
+    return { name: 'whisper', transcribe };
+}
@@ -0,0 +1,36 @@
+import path from 'path';
+import { logger } from '../logger.js';
+
+// --- Storage Layer ---
+// STORAGE_DRIVER selects the backend: `sqlite` (default) or `memory`.
+// All stores expose the same async interface:
+//   saveSubmission({ studentId, taskType, topic, text, report, model })
+//   getSubmission(id)
+//   listSubmissions(studentId, { taskType, limit, offset })
+//   getTrends(studentId, { taskType }) -> [{ submissionId, taskType, createdAt, criterion, score }]
+//   createApiKey({ keyHash, userId, plan, role, label, limits })
+//   findApiKeyByHash(keyHash) / listApiKeys({ userId }) / revokeApiKey(id)
+//   getDailyUsage(userId, costClass, day) / incrementDailyUsage(userId, costClass, day)
+//   decrementDailyUsage(userId, costClass, day) (refunds a failed request)
+//   ping() (readiness check)
+
+export async function createStore({ baseDir }) {
+    const driver = process.env.STORAGE_DRIVER || 'sqlite';
+
+    switch (driver) {
+        case 'sqlite': {
+            // Imported lazily so the memory driver works outside Bun too
+            const { createSqliteStore } = await import('./sqlite.js');
+            const filename = path.resolve(baseDir, process.env.DATABASE_PATH || 'data/ielts.sqlite');
+            logger.info('Using SQLite storage', { filename });
+            return createSqliteStore({ filename });
+        }
+        case 'memory': {
+            const { createMemoryStore } = await import('./memory.js');
+            logger.info('Using in-memory storage (submissions are not persisted)');
+            return createMemoryStore();
+        }
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+}
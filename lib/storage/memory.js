@@ -0,0 +1,104 @@
+import { randomUUID } from 'crypto';
+
+// Non-persistent store with the same interface as the SQLite one. Handy for
+// tests and for running without a writable disk.
+export function createMemoryStore() {
+    const submissions = [];
+    const apiKeys = [];
+    const usage = new Map();
+
+    function forStudent(studentId, taskType) {
+        return submissions.filter(s => s.studentId === studentId && (!taskType || s.taskType === taskType));
+    }
+
+    return {
+        async saveSubmission({ studentId = null, taskType, topic = null, text, report, model = null }) {
+            const submission = {
+                id: randomUUID(),
+                studentId,
+                taskType,
+                topic,
+                text,
+                report,
+                overall: typeof report.Overall === 'number' ? report.Overall : null,
+                model,
+                createdAt: new Date().toISOString()
+            };
+            submissions.push(submission);
+            return submission;
+        },
+
+        async getSubmission(id) {
+            return submissions.find(s => s.id === id) || null;
+        },
+
+        async listSubmissions(studentId, { taskType = null, limit = 20, offset = 0 } = {}) {
+            return forStudent(studentId, taskType).slice().reverse().slice(offset, offset + limit);
+        },
+
+        async getTrends(studentId, { taskType = null } = {}) {
+            return forStudent(studentId, taskType).flatMap(s => {
+                const scores = Object.entries(s.report)
+                    .filter(([, value]) => typeof value?.score === 'number')
+                    .map(([criterion, value]) => [criterion, value.score]);
+                if (s.overall !== null) scores.push(['Overall', s.overall]);
+                return scores.map(([criterion, score]) => ({
+                    submissionId: s.id,
+                    taskType: s.taskType,
+                    createdAt: s.createdAt,
+                    criterion,
+                    score
+                }));
+            });
+        },
+
+        async createApiKey({ keyHash, userId, plan, role, label = null, limits = null }) {
+            const apiKey = { id: randomUUID(), userId, plan, role, label, limits, createdAt: new Date().toISOString(), revokedAt: null };
+            apiKeys.push({ ...apiKey, keyHash });
+            return apiKey;
+        },
+
+        async findApiKeyByHash(keyHash) {
+            const found = apiKeys.find(k => k.keyHash === keyHash && !k.revokedAt);
+            if (!found) return null;
+            const { keyHash: _hash, ...apiKey } = found;
+            return apiKey;
+        },
+
+        async listApiKeys({ userId = null } = {}) {
+            return apiKeys
+                .filter(k => !userId || k.userId === userId)
+                .map(({ keyHash: _hash, ...apiKey }) => apiKey)
+                .reverse();
+        },
+
+        async revokeApiKey(id) {
+            const found = apiKeys.find(k => k.id === id && !k.revokedAt);
+            if (!found) return false;
+            found.revokedAt = new Date().toISOString();
+            return true;
+        },
+
+        async getDailyUsage(userId, costClass, day) {
+            return usage.get(`${userId}|${costClass}|${day}`) || 0;
+        },
+
+        async incrementDailyUsage(userId, costClass, day) {
+            const key = `${userId}|${costClass}|${day}`;
+            const count = (usage.get(key) || 0) + 1;
+            usage.set(key, count);
+            return count;
+        },
+
+        async decrementDailyUsage(userId, costClass, day) {
+            const key = `${userId}|${costClass}|${day}`;
+            const count = Math.max(0, (usage.get(key) || 0) - 1);
+            usage.set(key, count);
+            return count;
+        },
+
+        async ping() {},
+
+        close() {}
+    };
+}
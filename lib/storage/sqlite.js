@@ -0,0 +1,230 @@
+import { Database } from 'bun:sqlite';
+import { randomUUID } from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS submissions (
+        id TEXT PRIMARY KEY,
+        student_id TEXT,
+        task_type TEXT NOT NULL,
+        topic TEXT,
+        text TEXT NOT NULL,
+        report TEXT NOT NULL,
+        overall REAL,
+        model TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_submissions_student ON submissions (student_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS submission_scores (
+        submission_id TEXT NOT NULL REFERENCES submissions (id) ON DELETE CASCADE,
+        criterion TEXT NOT NULL,
+        score REAL NOT NULL,
+        PRIMARY KEY (submission_id, criterion)
+    );
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        key_hash TEXT NOT NULL UNIQUE,
+        user_id TEXT NOT NULL,
+        plan TEXT NOT NULL,
+        role TEXT NOT NULL,
+        label TEXT,
+        limits TEXT,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS daily_usage (
+        user_id TEXT NOT NULL,
+        cost_class TEXT NOT NULL,
+        day TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, cost_class, day)
+    );
+`;
+
+function rowToSubmission(row) {
+    return {
+        id: row.id,
+        studentId: row.student_id,
+        taskType: row.task_type,
+        topic: row.topic,
+        text: row.text,
+        report: JSON.parse(row.report),
+        overall: row.overall,
+        model: row.model,
+        createdAt: row.created_at
+    };
+}
+
+function rowToApiKey(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        plan: row.plan,
+        role: row.role,
+        label: row.label,
+        limits: row.limits ? JSON.parse(row.limits) : null,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+export function createSqliteStore({ filename }) {
+    fs.ensureDirSync(path.dirname(filename));
+    const db = new Database(filename, { create: true });
+    db.exec('PRAGMA journal_mode = WAL;');
+    db.exec('PRAGMA foreign_keys = ON;');
+    db.exec(SCHEMA);
+
+    const insertSubmission = db.query(`
+        INSERT INTO submissions (id, student_id, task_type, topic, text, report, overall, model, created_at)
+        VALUES ($id, $studentId, $taskType, $topic, $text, $report, $overall, $model, $createdAt)
+    `);
+    const insertScore = db.query(`
+        INSERT INTO submission_scores (submission_id, criterion, score) VALUES ($submissionId, $criterion, $score)
+    `);
+
+    // Every criterion object with a numeric score (plus Overall) gets its own row
+    // so trends can be queried per criterion regardless of task type.
+    const save = db.transaction((submission) => {
+        insertSubmission.run({
+            $id: submission.id,
+            $studentId: submission.studentId,
+            $taskType: submission.taskType,
+            $topic: submission.topic,
+            $text: submission.text,
+            $report: JSON.stringify(submission.report),
+            $overall: submission.overall,
+            $model: submission.model,
+            $createdAt: submission.createdAt
+        });
+        for (const [criterion, value] of Object.entries(submission.report)) {
+            if (typeof value?.score === 'number') {
+                insertScore.run({ $submissionId: submission.id, $criterion: criterion, $score: value.score });
+            }
+        }
+        if (submission.overall !== null) {
+            insertScore.run({ $submissionId: submission.id, $criterion: 'Overall', $score: submission.overall });
+        }
+    });
+
+    return {
+        async saveSubmission({ studentId = null, taskType, topic = null, text, report, model = null }) {
+            const submission = {
+                id: randomUUID(),
+                studentId,
+                taskType,
+                topic,
+                text,
+                report,
+                overall: typeof report.Overall === 'number' ? report.Overall : null,
+                model,
+                createdAt: new Date().toISOString()
+            };
+            save(submission);
+            return submission;
+        },
+
+        async getSubmission(id) {
+            const row = db.query('SELECT * FROM submissions WHERE id = $id').get({ $id: id });
+            return row ? rowToSubmission(row) : null;
+        },
+
+        async listSubmissions(studentId, { taskType = null, limit = 20, offset = 0 } = {}) {
+            const rows = db.query(`
+                SELECT * FROM submissions
+                WHERE student_id = $studentId AND ($taskType IS NULL OR task_type = $taskType)
+                ORDER BY created_at DESC
+                LIMIT $limit OFFSET $offset
+            `).all({ $studentId: studentId, $taskType: taskType, $limit: limit, $offset: offset });
+            return rows.map(rowToSubmission);
+        },
+
+        // Oldest first so the points can be plotted directly
+        async getTrends(studentId, { taskType = null } = {}) {
+            return db.query(`
+                SELECT s.id AS submissionId, s.task_type AS taskType, s.created_at AS createdAt,
+                       sc.criterion AS criterion, sc.score AS score
+                FROM submission_scores sc
+                JOIN submissions s ON s.id = sc.submission_id
+                WHERE s.student_id = $studentId AND ($taskType IS NULL OR s.task_type = $taskType)
+                ORDER BY s.created_at ASC
+            `).all({ $studentId: studentId, $taskType: taskType });
+        },
+
+        // `keyHash` is the SHA-256 of the plaintext key; the key itself is never stored
+        async createApiKey({ keyHash, userId, plan, role, label = null, limits = null }) {
+            const apiKey = { id: randomUUID(), userId, plan, role, label, limits, createdAt: new Date().toISOString(), revokedAt: null };
+            db.query(`
+                INSERT INTO api_keys (id, key_hash, user_id, plan, role, label, limits, created_at)
+                VALUES ($id, $keyHash, $userId, $plan, $role, $label, $limits, $createdAt)
+            `).run({
+                $id: apiKey.id,
+                $keyHash: keyHash,
+                $userId: userId,
+                $plan: plan,
+                $role: role,
+                $label: label,
+                $limits: limits ? JSON.stringify(limits) : null,
+                $createdAt: apiKey.createdAt
+            });
+            return apiKey;
+        },
+
+        async findApiKeyByHash(keyHash) {
+            const row = db.query('SELECT * FROM api_keys WHERE key_hash = $keyHash AND revoked_at IS NULL').get({ $keyHash: keyHash });
+            return row ? rowToApiKey(row) : null;
+        },
+
+        async listApiKeys({ userId = null } = {}) {
+            const rows = db.query(`
+                SELECT * FROM api_keys WHERE ($userId IS NULL OR user_id = $userId) ORDER BY created_at DESC
+            `).all({ $userId: userId });
+            return rows.map(rowToApiKey);
+        },
+
+        async revokeApiKey(id) {
+            const result = db.query(`
+                UPDATE api_keys SET revoked_at = $now WHERE id = $id AND revoked_at IS NULL
+            `).run({ $id: id, $now: new Date().toISOString() });
+            return result.changes > 0;
+        },
+
+        async getDailyUsage(userId, costClass, day) {
+            const row = db.query(`
+                SELECT count FROM daily_usage WHERE user_id = $userId AND cost_class = $costClass AND day = $day
+            `).get({ $userId: userId, $costClass: costClass, $day: day });
+            return row ? row.count : 0;
+        },
+
+        async incrementDailyUsage(userId, costClass, day) {
+            const row = db.query(`
+                INSERT INTO daily_usage (user_id, cost_class, day, count) VALUES ($userId, $costClass, $day, 1)
+                ON CONFLICT (user_id, cost_class, day) DO UPDATE SET count = count + 1
+                RETURNING count
+            `).get({ $userId: userId, $costClass: costClass, $day: day });
+            return row.count;
+        },
+
+        async decrementDailyUsage(userId, costClass, day) {
+            const row = db.query(`
+                UPDATE daily_usage SET count = MAX(0, count - 1)
+                WHERE user_id = $userId AND cost_class = $costClass AND day = $day
+                RETURNING count
+            `).get({ $userId: userId, $costClass: costClass, $day: day });
+            return row ? row.count : 0;
+        },
+
+        // Readiness probe: throws if the database can't be queried
+        async ping() {
+            db.query('SELECT 1').get();
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
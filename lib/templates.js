@@ -0,0 +1,117 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promptConfig } from './config.js';
+
+// --- Prompt Templates ---
+// Every prompt sent to a model is a versioned text file under prompts/, named
+// <name>.v<version>.txt, with a short header and a body using {{variables}}:
+//
+//   id: criteria/task2
+//   version: 2
+//   description: Task 2 essay criteria with band descriptors
+//   ---
+//   ...{{topic}}...{{essay}}...
+//
+// Old versions stay in place so any stored report can be traced back to the
+// exact prompt that produced it (see `promptVersion` in responses).
+
+const DEFAULT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../prompts');
+const VARIABLE = /\{\{(\w+)\}\}/g;
+
+export class PromptTemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptTemplateError';
+    }
+}
+
+function parseTemplateFile(file, source) {
+    const separator = source.indexOf('\n---\n');
+    if (separator === -1) {
+        throw new PromptTemplateError(`${file}: missing "---" line after the header`);
+    }
+
+    const header = {};
+    for (const line of source.slice(0, separator).split('\n')) {
+        const match = line.match(/^(\w+):\s*(.*)$/);
+        if (match) header[match[1]] = match[2].trim();
+    }
+    const version = parseInt(header.version, 10);
+    if (!header.id || !Number.isInteger(version)) {
+        throw new PromptTemplateError(`${file}: header needs an id and an integer version`);
+    }
+
+    // Files end with a newline that is not part of the prompt
+    const body = source.slice(separator + 5).replace(/\n$/, '');
+    const variables = [...new Set([...body.matchAll(VARIABLE)].map(m => m[1]))];
+    return { id: header.id, version, description: header.description || '', variables, body, file };
+}
+
+function loadTemplates(dir) {
+    const templates = new Map(); // id -> [template] sorted by version
+    const files = fs.readdirSync(dir, { recursive: true }).filter(name => String(name).endsWith('.txt'));
+
+    for (const name of files) {
+        const file = path.join(dir, String(name));
+        const template = parseTemplateFile(path.relative(dir, file), fs.readFileSync(file, 'utf8'));
+        const versions = templates.get(template.id) || [];
+        if (versions.some(t => t.version === template.version)) {
+            throw new PromptTemplateError(`Duplicate prompt template ${template.id}@${template.version}`);
+        }
+        versions.push(template);
+        templates.set(template.id, versions.sort((a, b) => a.version - b.version));
+    }
+    return templates;
+}
+
+const templatesDir = promptConfig.dir ? path.resolve(promptConfig.dir) : DEFAULT_DIR;
+const templates = loadTemplates(templatesDir);
+const registry = fs.readJsonSync(path.join(templatesDir, 'registry.json'));
+
+for (const [key, entry] of Object.entries(registry)) {
+    for (const id of [entry.criteria, entry.improvement]) {
+        if (!templates.has(id)) {
+            throw new PromptTemplateError(`Prompt registry entry "${key}" refers to unknown template "${id}"`);
+        }
+    }
+}
+
+// Prompt tasks keyed by task type: { taskType, label, criteria, improvement, variables }
+export function getPromptRegistry() {
+    return registry;
+}
+
+// The pinned version if PROMPT_VERSIONS names one, otherwise the newest.
+// An explicit `version` (admin dry-runs) wins over both.
+export function getTemplate(id, version = null) {
+    const versions = templates.get(id);
+    if (!versions) throw new PromptTemplateError(`Unknown prompt template "${id}"`);
+
+    const wanted = version ?? promptConfig.pinnedVersions[id] ?? null;
+    const template = wanted === null ? versions[versions.length - 1] : versions.find(t => t.version === Number(wanted));
+    if (!template) throw new PromptTemplateError(`Prompt template "${id}" has no version ${wanted}`);
+    return template;
+}
+
+export function listTemplates() {
+    return [...templates.values()].flatMap(versions => versions.map(({ body, file, ...template }) => ({
+        ...template,
+        active: getTemplate(template.id).version === template.version
+    })));
+}
+
+// Fills in every {{variable}}. Missing variables are an error rather than an
+// empty string, so a template/caller mismatch can't silently send a broken prompt.
+// Returns { text, promptVersion } where promptVersion is "<id>@<version>".
+export function renderTemplate(id, variables, { version = null } = {}) {
+    const template = getTemplate(id, version);
+    const missing = template.variables.filter(name => variables[name] === undefined || variables[name] === null);
+    if (missing.length > 0) {
+        throw new PromptTemplateError(`Prompt template ${id}@${template.version} is missing variables: ${missing.join(', ')}`);
+    }
+    return {
+        text: template.body.replace(VARIABLE, (match, name) => String(variables[name])),
+        promptVersion: `${template.id}@${template.version}`
+    };
+}
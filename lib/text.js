@@ -0,0 +1,84 @@
+// --- Text Segmentation ---
+// Server-side paragraph and sentence splitting. Offsets are character indexes
+// into the original string so callers can anchor highlights to it.
+
+// Abbreviations that end in a full stop without ending the sentence
+const ABBREVIATIONS = new Set([
+    'e.g', 'i.e', 'etc', 'vs', 'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'approx', 'no', 'fig', 'cf', 'jan', 'feb',
+    'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+// Paragraphs are separated by one or more line breaks; students typing into a
+// textarea often use a single newline rather than a blank line.
+export function splitParagraphs(text) {
+    const paragraphs = [];
+    const pattern = /[^\r\n]+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const leading = match[0].length - match[0].trimStart().length;
+        const content = match[0].trim();
+        if (content) {
+            paragraphs.push({ text: content, start: match.index + leading, end: match.index + leading + content.length });
+        }
+    }
+    return paragraphs;
+}
+
+function endsWithAbbreviation(fragment) {
+    const lastWord = fragment.trim().split(/\s+/).pop() || '';
+    return ABBREVIATIONS.has(lastWord.replace(/\.$/, '').toLowerCase());
+}
+
+// Returns [{ text, start, end, paragraphIndex }]
+export function splitSentences(text) {
+    const sentences = [];
+
+    splitParagraphs(text).forEach((paragraph, paragraphIndex) => {
+        // A sentence ends at . ! or ? (plus any closing quotes/brackets) followed by whitespace
+        const boundary = /[.!?]+["'”’)\]]*(?=\s+|$)/g;
+        let sentenceStart = 0;
+        let match;
+
+        while ((match = boundary.exec(paragraph.text)) !== null) {
+            const end = match.index + match[0].length;
+            const candidate = paragraph.text.slice(sentenceStart, end);
+            if (match[0] === '.' && endsWithAbbreviation(candidate) && end < paragraph.text.length) continue;
+            pushSentence(paragraph, paragraphIndex, sentenceStart, end);
+            sentenceStart = end;
+        }
+        // Trailing text without final punctuation still counts as a sentence
+        pushSentence(paragraph, paragraphIndex, sentenceStart, paragraph.text.length);
+    });
+
+    function pushSentence(paragraph, paragraphIndex, from, to) {
+        const raw = paragraph.text.slice(from, to);
+        const leading = raw.length - raw.trimStart().length;
+        const content = raw.trim();
+        if (!content) return;
+        const start = paragraph.start + from + leading;
+        sentences.push({ text: content, start, end: start + content.length, paragraphIndex });
+    }
+
+    return sentences;
+}
+
+// Lower-cased, punctuation-light form used to compare model quotes with the
+// submitted text (models like to "fix" quotes, spacing and final full stops).
+export function normalizeForMatch(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[‘’`]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
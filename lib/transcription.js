@@ -0,0 +1,59 @@
+import fs from 'fs-extra';
+import { callModel } from './providers/index.js';
+import { buildTranscriptionPrompt } from './prompts.js';
+import { logger } from './logger.js';
+
+export class TranscriptionInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TranscriptionInputError';
+    }
+}
+
+// Sends the uploaded answer-sheet images to the vision model configured for
+// transcription. `files` are { path, mimetype } records as stored by multer.
+// Resolves to { transcription, model, promptVersion }.
+export async function transcribeImages(files, { signal } = {}) {
+    // 1. Read files and convert to base64 data URIs
+    const imagePromises = files.map(async (file) => {
+        try {
+            const fileBuffer = await fs.readFile(file.path);
+            const base64String = fileBuffer.toString('base64');
+            return `data:${file.mimetype};base64,${base64String}`;
+        } catch (readError) {
+            logger.error('Error reading upload', { filePath: file.path, error: readError });
+            // Skip unreadable pages rather than failing the whole transcription
+            return null;
+        }
+    });
+
+    const imageDataUris = (await Promise.all(imagePromises)).filter(uri => uri !== null);
+
+    if (imageDataUris.length === 0) {
+        // This could happen if all file reads failed
+        throw new TranscriptionInputError('Failed to process uploaded image files.');
+    }
+
+    // 2. Prepare payload for the vision model
+    const prompt = buildTranscriptionPrompt();
+    const payload = {
+        messages: [
+            {
+                role: "user",
+                content: [
+                    { type: "text", text: prompt.text },
+                    // Map data URIs into the required format
+                    ...imageDataUris.map(uri => ({
+                        type: "image_url",
+                        image_url: { url: uri }
+                    }))
+                ]
+            }
+        ],
+        max_tokens: 1500 // Adjust as needed
+    };
+
+    // 3. Call the vision model configured for transcription
+    const { content: transcription, model } = await callModel('transcription', payload, { signal });
+    return { transcription, model, promptVersion: prompt.promptVersion };
+}
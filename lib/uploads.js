@@ -0,0 +1,210 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+import { transcriberConfig } from './config.js';
+import { logger } from './logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// --- Transcriber Upload Pipeline ---
+// The client's mimetype and filename are never trusted: every upload is
+// identified from its first bytes. Accepted images are auto-rotated from EXIF,
+// downscaled and re-encoded as JPEG (which also strips EXIF, GPS included);
+// PDFs are split into one image per page. The resulting pages are written to
+// the upload directory as { path, mimetype } records for transcribeImages().
+
+// `files` lists per-file problems: [{ index, name, status, error }]
+export class UploadError extends Error {
+    constructor(status, message, files = []) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+        this.files = files;
+    }
+}
+
+// A problem with one file; collected into an UploadError for the whole request
+class FileRejection extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ISO-BMFF major brands used by HEIC/HEIF photos (iPhones and most Android cameras)
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1']);
+
+// Returns 'jpeg', 'png', 'webp', 'heic', 'pdf' or null
+export function sniffFileType(buffer) {
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+    if (buffer.length >= 12 && ascii(4, 8) === 'ftyp' && HEIF_BRANDS.has(ascii(8, 12))) return 'heic';
+    if (buffer.length >= 5 && ascii(0, 5) === '%PDF-') return 'pdf';
+    return null;
+}
+
+function formatBytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+// Wraps a multer middleware so its limit errors become JSON responses
+// (413 for an oversized file, 400 for too many or unexpected files) instead
+// of falling through to the default 500 error page. An UploadError raised by
+// a fileFilter is sent with its own status and per-file list.
+export function handleUploadErrors(middleware, { maxFileBytes }) {
+    return (req, res, next) => middleware(req, res, (error) => {
+        if (error instanceof UploadError) {
+            return res.status(error.status).json({ error: error.message, files: error.files });
+        }
+        if (!(error instanceof multer.MulterError)) return next(error);
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            const message = `File exceeds the ${formatBytes(maxFileBytes)} limit`;
+            return res.status(413).json({ error: 'File too large', files: [{ field: error.field, status: 413, error: message }] });
+        }
+        return res.status(400).json({ error: error.message, field: error.field });
+    });
+}
+
+async function normalizeImage(buffer, type) {
+    let input = buffer;
+    if (type === 'heic') {
+        // libvips as shipped with sharp cannot decode HEVC, so go through JPEG first
+        input = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.92 }));
+    }
+    return sharp(input)
+        .rotate() // applies the EXIF orientation
+        .resize({
+            width: transcriberConfig.maxDimension,
+            height: transcriberConfig.maxDimension,
+            fit: 'inside',
+            withoutEnlargement: true
+        })
+        .jpeg({ quality: transcriberConfig.jpegQuality, mozjpeg: true })
+        .toBuffer();
+}
+
+// Renders every page to PNG in a temp dir. Stops one page past the limit so an
+// oversized PDF is detected without rendering all of it.
+async function renderPdfPages(filePath) {
+    const { pdftoppmBin, pdfDpi, maxPages, timeoutMs } = transcriberConfig;
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-pages-'));
+
+    try {
+        try {
+            await execFileAsync(pdftoppmBin, ['-r', String(pdfDpi), '-png', '-l', String(maxPages + 1), filePath, path.join(workDir, 'page')], {
+                timeout: timeoutMs
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new UploadError(503, `Server configuration error: ${pdftoppmBin} was not found.`);
+            }
+            logger.warn('PDF rendering failed', { error: error.stderr || error.message });
+            throw new FileRejection(415, 'The PDF could not be read');
+        }
+
+        // pdftoppm zero-pads page numbers to the width of the page count
+        const names = (await fs.readdir(workDir)).filter(name => name.endsWith('.png')).sort();
+        if (names.length > maxPages) {
+            throw new FileRejection(413, `The PDF has more than ${maxPages} pages`);
+        }
+        if (names.length === 0) {
+            throw new FileRejection(415, 'The PDF has no pages');
+        }
+        return Promise.all(names.map(name => fs.readFile(path.join(workDir, name))));
+    } finally {
+        await fs.remove(workDir).catch(err => logger.error('Failed to delete PDF work dir', { workDir, error: err }));
+    }
+}
+
+async function toPageImages(file) {
+    const buffer = await fs.readFile(file.path);
+    const type = sniffFileType(buffer);
+    if (!type) {
+        throw new FileRejection(415, 'Unsupported file type. Upload JPEG, PNG, WebP or HEIC images, or a PDF.');
+    }
+
+    const sources = type === 'pdf' ? (await renderPdfPages(file.path)).map(png => [png, 'png']) : [[buffer, type]];
+    try {
+        return await Promise.all(sources.map(([source, sourceType]) => normalizeImage(source, sourceType)));
+    } catch (error) {
+        logger.warn('Could not decode upload', { type, filePath: file.path, error: error.message });
+        throw new FileRejection(415, `The file looks like ${type.toUpperCase()} but could not be decoded`);
+    }
+}
+
+// `pageOrder` is a permutation of 1-based page numbers, as "3,1,2" or an
+// array. Pages are numbered in upload order, with each PDF expanded in place.
+function parsePageOrder(pageOrder, pageCount) {
+    if (pageOrder === undefined || pageOrder === null || pageOrder === '') return null;
+
+    let order = pageOrder;
+    if (typeof order === 'string') {
+        order = order.trim().startsWith('[') ? safeJsonParse(order) : order.split(',');
+    }
+    const numbers = Array.isArray(order) ? order.map(n => Number(String(n).trim())) : [];
+    const expected = Array.from({ length: pageCount }, (_, i) => i + 1);
+    const valid = numbers.length === pageCount
+        && [...numbers].sort((a, b) => a - b).every((n, i) => n === expected[i]);
+
+    if (!valid) {
+        throw new UploadError(400, `pageOrder must list each of pages 1-${pageCount} exactly once, e.g. "${expected.reverse().join(',')}"`);
+    }
+    return numbers.map(n => n - 1);
+}
+
+function safeJsonParse(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Validates and normalises the uploaded `files` (multer records) and writes
+// one JPEG per page to `outputDir`, in `pageOrder` if given. Throws UploadError
+// listing every rejected file; on success the caller owns the page files.
+export async function prepareTranscriptionPages(files, { pageOrder, outputDir }) {
+    const images = [];
+    const rejected = [];
+
+    // One file at a time: decoding large photos is memory-hungry
+    for (const [index, file] of files.entries()) {
+        try {
+            images.push(...await toPageImages(file));
+        } catch (error) {
+            if (!(error instanceof FileRejection)) throw error;
+            rejected.push({ index, name: file.originalname, status: error.status, error: error.message });
+        }
+    }
+
+    if (rejected.length > 0) {
+        const status = rejected.some(r => r.status === 415) ? 415 : 413;
+        throw new UploadError(status, `${rejected.length} of ${files.length} file(s) were rejected`, rejected);
+    }
+    if (images.length > transcriberConfig.maxPages) {
+        throw new UploadError(413, `At most ${transcriberConfig.maxPages} pages can be transcribed at once (got ${images.length})`);
+    }
+
+    const order = parsePageOrder(pageOrder, images.length) || images.map((_, i) => i);
+    const pages = [];
+    try {
+        for (const index of order) {
+            const pagePath = path.join(outputDir, `page-${crypto.randomUUID()}.jpg`);
+            await fs.writeFile(pagePath, images[index]);
+            pages.push({ path: pagePath, mimetype: 'image/jpeg' });
+        }
+    } catch (error) {
+        await Promise.all(pages.map(page => fs.remove(page.path).catch(() => {})));
+        throw error;
+    }
+    return pages;
+}
@@ -0,0 +1,107 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { sniffFileType, prepareTranscriptionPages, handleUploadErrors, UploadError } from './uploads.js';
+
+describe('sniffFileType', () => {
+    test('identifies files by their first bytes', () => {
+        expect(sniffFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpeg');
+        expect(sniffFileType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]))).toBe('png');
+        expect(sniffFileType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1'))).toBe('webp');
+        expect(sniffFileType(Buffer.from('\0\0\0\x18ftypheic\0\0\0\0', 'latin1'))).toBe('heic');
+        expect(sniffFileType(Buffer.from('\0\0\0\x18ftypmif1\0\0\0\0', 'latin1'))).toBe('heic');
+        expect(sniffFileType(Buffer.from('%PDF-1.7\n'))).toBe('pdf');
+    });
+
+    test('rejects other and truncated files whatever their name suggests', () => {
+        expect(sniffFileType(Buffer.from('GIF89a'))).toBeNull();
+        expect(sniffFileType(Buffer.from('\0\0\0\x18ftypisom\0\0\0\0', 'latin1'))).toBeNull();
+        expect(sniffFileType(Buffer.from([0xff, 0xd8]))).toBeNull();
+        expect(sniffFileType(Buffer.from('%PDF'))).toBeNull();
+        expect(sniffFileType(Buffer.alloc(0))).toBeNull();
+    });
+});
+
+describe('handleUploadErrors', () => {
+    // Runs a wrapped middleware that fails with `error` and returns the response sent
+    function respond(error) {
+        const sent = {};
+        const res = {
+            status(code) { sent.status = code; return this; },
+            json(body) { sent.body = body; return this; }
+        };
+        handleUploadErrors((req, res, next) => next(error), { maxFileBytes: 1024 * 1024 })({}, res, (passed) => { sent.next = passed; });
+        return sent;
+    }
+
+    test('sends an UploadError from a file filter with its status and files', () => {
+        const files = [{ field: 'part1', name: 'notes.txt', status: 415, error: 'Unsupported file type text/plain. Upload an audio recording.' }];
+        expect(respond(new UploadError(415, 'Unsupported file type', files))).toEqual({ status: 415, body: { error: 'Unsupported file type', files } });
+    });
+
+    test('passes other errors on', () => {
+        const error = new Error('disk full');
+        expect(respond(error)).toEqual({ next: error });
+    });
+});
+
+describe('prepareTranscriptionPages', () => {
+    const dirs = [];
+
+    afterEach(async () => {
+        await Promise.all(dirs.splice(0).map(dir => fs.remove(dir)));
+    });
+
+    // Uploads `widths.length` PNGs, each as wide as its entry, so the order of
+    // the resulting pages can be read back from their widths
+    async function uploadImages(widths) {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-test-'));
+        dirs.push(dir);
+        const files = await Promise.all(widths.map(async (width, index) => {
+            const filePath = path.join(dir, `upload-${index}`);
+            await sharp({ create: { width, height: 10, channels: 3, background: '#ffffff' } }).png().toFile(filePath);
+            return { path: filePath, originalname: `page${index + 1}.png` };
+        }));
+        return { dir, files };
+    }
+
+    async function pageWidths(pages) {
+        return Promise.all(pages.map(async page => (await sharp(page.path).metadata()).width));
+    }
+
+    test('keeps upload order without a pageOrder', async () => {
+        const { dir, files } = await uploadImages([10, 20, 30]);
+        const pages = await prepareTranscriptionPages(files, { outputDir: dir });
+        expect(pages.every(page => page.mimetype === 'image/jpeg')).toBe(true);
+        expect(await pageWidths(pages)).toEqual([10, 20, 30]);
+    });
+
+    test('reorders pages from a comma list or a JSON array', async () => {
+        const { dir, files } = await uploadImages([10, 20, 30]);
+        expect(await pageWidths(await prepareTranscriptionPages(files, { pageOrder: ' 3, 1,2 ', outputDir: dir }))).toEqual([30, 10, 20]);
+        expect(await pageWidths(await prepareTranscriptionPages(files, { pageOrder: '[2,3,1]', outputDir: dir }))).toEqual([20, 30, 10]);
+        expect(await pageWidths(await prepareTranscriptionPages(files, { pageOrder: [3, 2, 1], outputDir: dir }))).toEqual([30, 20, 10]);
+    });
+
+    test('rejects a pageOrder that is not a permutation of the pages', async () => {
+        const { dir, files } = await uploadImages([10, 20]);
+        for (const pageOrder of ['1', '1,1', '1,3', '2,1,3', '[2,1', 'first,second']) {
+            const error = await prepareTranscriptionPages(files, { pageOrder, outputDir: dir }).catch(e => e);
+            expect(error).toBeInstanceOf(UploadError);
+            expect(error.status).toBe(400);
+            expect(error.message).toBe('pageOrder must list each of pages 1-2 exactly once, e.g. "2,1"');
+        }
+    });
+
+    test('lists every file that is not a supported type', async () => {
+        const { dir, files } = await uploadImages([10]);
+        const textFile = path.join(dir, 'notes');
+        await fs.writeFile(textFile, 'not an image');
+        const error = await prepareTranscriptionPages([...files, { path: textFile, originalname: 'notes.jpg' }], { outputDir: dir }).catch(e => e);
+        expect(error).toBeInstanceOf(UploadError);
+        expect(error.status).toBe(415);
+        expect(error.files).toEqual([{ index: 1, name: 'notes.jpg', status: 415, error: 'Unsupported file type. Upload JPEG, PNG, WebP or HEIC images, or a PDF.' }]);
+    });
+});
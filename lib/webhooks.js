@@ -0,0 +1,122 @@
+import dns from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { webhookConfig } from './config.js';
+
+// --- Webhook Targets ---
+// Job webhooks are sent by the server to a URL the client chose, so an
+// unchecked URL would let any user make the server call its own loopback
+// interface, the cloud metadata service or other internal hosts. A target is
+// checked when the job is submitted and again right before each delivery,
+// since what a hostname resolves to can change in between. Delivery then
+// connects only to the addresses that were checked, so a host that answers
+// the check with a public address and the connection with an internal one
+// (DNS rebinding) can't get the POST sent inside the network.
+
+export class WebhookUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookUrlError';
+    }
+}
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the
+// IPv4 ranges by BlockList itself.
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+    BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function isAllowedHost(hostname) {
+    return webhookConfig.allowedHosts.some(entry => entry.startsWith('*.')
+        ? hostname.endsWith(entry.slice(1))
+        : hostname === entry);
+}
+
+// Resolves to { url, addresses }, where `addresses` are the checked
+// { address, family } entries to connect to, or null when the host is on the
+// allowlist and resolves as usual. Throws WebhookUrlError
+// saying why the URL can't be used.
+async function resolveWebhookTarget(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new WebhookUrlError('webhookUrl must be an http(s) URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new WebhookUrlError('webhookUrl must be an http(s) URL');
+    }
+
+    // IPv6 literals come back from URL in brackets
+    const hostname = url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    if (webhookConfig.allowedHosts.length > 0) {
+        if (!isAllowedHost(hostname)) {
+            throw new WebhookUrlError(`webhookUrl host ${hostname} is not on the list of allowed webhook hosts`);
+        }
+        return { url, addresses: null };
+    }
+
+    let addresses;
+    try {
+        addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch (e) {
+        throw new WebhookUrlError(`webhookUrl host ${hostname} could not be resolved`);
+    }
+    // Every address must be public: the connection may use any of them
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+        throw new WebhookUrlError(`webhookUrl host ${hostname} is not a public address`);
+    }
+    return { url, addresses };
+}
+
+// Resolves to the normalised URL, or throws WebhookUrlError saying why it
+// can't be used
+export async function checkWebhookUrl(value) {
+    const { url } = await resolveWebhookTarget(value);
+    return url.toString();
+}
+
+// Checks the URL and POSTs `body` to it, connecting only to the addresses the
+// check approved. Redirects are not followed, since one could point anywhere.
+// Resolves to the response status; throws WebhookUrlError for a blocked URL.
+export async function postWebhook(value, { headers, body, timeoutMs }) {
+    const { url, addresses } = await resolveWebhookTarget(value);
+    const lookup = addresses && ((hostname, options, callback) => {
+        if (options?.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            ...(lookup && { lookup }),
+            signal: AbortSignal.timeout(timeoutMs)
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
@@ -0,0 +1,82 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import http from 'http';
+import { webhookConfig } from './config.js';
+import { checkWebhookUrl, isPublicAddress, postWebhook, WebhookUrlError } from './webhooks.js';
+
+describe('isPublicAddress', () => {
+    test('rejects loopback, private, link-local and reserved addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+            '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254']) {
+            expect(isPublicAddress(address)).toBe(false);
+        }
+    });
+
+    test('accepts public addresses', () => {
+        for (const address of ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700:4700::1111']) {
+            expect(isPublicAddress(address)).toBe(true);
+        }
+    });
+});
+
+describe('checkWebhookUrl', () => {
+    test('accepts an http(s) URL of a public host', async () => {
+        expect(await checkWebhookUrl('https://93.184.216.34/hooks/ielts')).toBe('https://93.184.216.34/hooks/ielts');
+    });
+
+    test('rejects internal hosts, whether literal or resolved', async () => {
+        for (const url of ['http://127.0.0.1:3000/admin', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/', 'http://localhost/', 'http://0x7f000001/']) {
+            await expect(checkWebhookUrl(url)).rejects.toBeInstanceOf(WebhookUrlError);
+        }
+    });
+
+    test('rejects other schemes and malformed URLs', async () => {
+        await expect(checkWebhookUrl('file:///etc/passwd')).rejects.toThrow('webhookUrl must be an http(s) URL');
+        await expect(checkWebhookUrl('not a url')).rejects.toThrow('webhookUrl must be an http(s) URL');
+    });
+});
+
+describe('postWebhook', () => {
+    let server;
+    let received;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received = { path: req.url, signature: req.headers['x-job-signature'], body };
+                if (req.url === '/moved') {
+                    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+                } else {
+                    res.writeHead(204);
+                }
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        webhookConfig.allowedHosts.push('localhost');
+    });
+
+    afterAll(() => {
+        webhookConfig.allowedHosts.splice(webhookConfig.allowedHosts.indexOf('localhost'), 1);
+        server.close();
+    });
+
+    const options = { headers: { 'Content-Type': 'application/json', 'X-Job-Signature': 'abc' }, body: '{"id":"1"}', timeoutMs: 5000 };
+
+    test('posts the body and headers to an allowed host', async () => {
+        const status = await postWebhook(`http://localhost:${server.address().port}/hook`, options);
+        expect(status).toBe(204);
+        expect(received).toEqual({ path: '/hook', signature: 'abc', body: '{"id":"1"}' });
+    });
+
+    test('does not follow redirects', async () => {
+        expect(await postWebhook(`http://localhost:${server.address().port}/moved`, options)).toBe(302);
+    });
+
+    test('refuses a blocked URL without connecting', async () => {
+        received = null;
+        await expect(postWebhook(`http://127.0.0.1:${server.address().port}/hook`, options)).rejects.toBeInstanceOf(WebhookUrlError);
+        expect(received).toBeNull();
+    });
+});
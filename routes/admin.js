@@ -0,0 +1,152 @@
+import express from 'express';
+import { generateApiKey, hashApiKey, requireAdminToken, ROLES } from '../lib/auth.js';
+import { authConfig } from '../lib/config.js';
+import { analyzeText } from '../lib/analytics.js';
+import { callModel } from '../lib/providers/index.js';
+import { buildCriteriaPrompt, buildImprovementPrompt } from '../lib/prompts.js';
+import { getPromptRegistry, listTemplates, renderTemplate, PromptTemplateError } from '../lib/templates.js';
+import { getResponseCacheStats, purgeResponseCache } from '../lib/cache/index.js';
+import { logger } from '../lib/logger.js';
+
+const DRY_RUN_KINDS = ['criteria', 'improvement'];
+
+// Renders a prompt for the dry-run route: either a registry task built the way
+// the writing routes build it, or any template with explicit variables
+function renderDryRun({ task, kind = 'criteria', template, version = null, topic = '', essay = '', variables = {} }) {
+    if (template) {
+        return { ...renderTemplate(template, variables, { version }), modelTask: null };
+    }
+
+    const entry = getPromptRegistry()[task];
+    if (!entry) {
+        throw new PromptTemplateError(`Unknown prompt task "${task}"`);
+    }
+    if (!DRY_RUN_KINDS.includes(kind)) {
+        throw new PromptTemplateError(`kind must be one of: ${DRY_RUN_KINDS.join(', ')}`);
+    }
+    const prompt = kind === 'criteria'
+        ? buildCriteriaPrompt(task, topic, essay, analyzeText(essay, { taskType: entry.taskType, topic }), { version })
+        : buildImprovementPrompt(task, topic, essay, { version });
+    return { ...prompt, modelTask: `${kind}:${entry.taskType}` };
+}
+
+// --- Admin Endpoints ---
+// Protected by ADMIN_TOKEN rather than user auth, so keys can be issued before
+// any user exists.
+export function createAdminRouter(store) {
+    const router = express.Router();
+    router.use(requireAdminToken);
+
+    router.post('/api-keys', async (req, res) => {
+        const { userId, plan = authConfig.defaultPlan, role = 'student', label, limits } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'Missing userId in request body' });
+        }
+        if (!authConfig.planLimits[plan]) {
+            return res.status(400).json({ error: `Unknown plan "${plan}"` });
+        }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        try {
+            const key = generateApiKey();
+            const apiKey = await store.createApiKey({ keyHash: hashApiKey(key), userId: String(userId), plan, role, label, limits });
+            // The plaintext key is only ever returned here
+            return res.status(201).json({ ...apiKey, key });
+        } catch (error) {
+            logger.error('Error creating API key', { error: error.message });
+            return res.status(500).json({ error: 'An error occurred while creating the API key' });
+        }
+    });
+
+    router.get('/api-keys', async (req, res) => {
+        try {
+            const apiKeys = await store.listApiKeys({ userId: req.query.userId || null });
+            return res.json({ apiKeys });
+        } catch (error) {
+            logger.error('Error listing API keys', { error: error.message });
+            return res.status(500).json({ error: 'An error occurred while listing API keys' });
+        }
+    });
+
+    router.post('/api-keys/:id/revoke', async (req, res) => {
+        try {
+            const revoked = await store.revokeApiKey(req.params.id);
+            if (!revoked) {
+                return res.status(404).json({ error: 'API key not found or already revoked' });
+            }
+            return res.json({ id: req.params.id, revoked: true });
+        } catch (error) {
+            logger.error('Error revoking API key', { apiKeyId: req.params.id, error: error.message });
+            return res.status(500).json({ error: 'An error occurred while revoking the API key' });
+        }
+    });
+
+    router.get('/prompts', (req, res) => {
+        return res.json({ tasks: getPromptRegistry(), templates: listTemplates() });
+    });
+
+    // Renders a prompt against sample input without recording anything. With
+    // `run: true` (registry tasks only) it is also sent to the configured model
+    // and the raw output is returned.
+    router.post('/prompts/dry-run', async (req, res) => {
+        if (!req.body.task && !req.body.template) {
+            return res.status(400).json({ error: 'Send either task (a registry key) or template (a template id)' });
+        }
+
+        let prompt;
+        try {
+            prompt = renderDryRun(req.body);
+        } catch (error) {
+            if (error instanceof PromptTemplateError) {
+                return res.status(400).json({ error: error.message });
+            }
+            logger.error('Error rendering prompt dry-run', { error: error.message });
+            return res.status(500).json({ error: 'An error occurred while rendering the prompt' });
+        }
+
+        const { text, promptVersion, modelTask } = prompt;
+        if (!req.body.run) {
+            return res.json({ promptVersion, prompt: text });
+        }
+        if (!modelTask) {
+            return res.status(400).json({ error: 'run is only supported for registry tasks' });
+        }
+
+        try {
+            const { content, model } = await callModel(modelTask, {
+                response_format: { type: "json_object" },
+                messages: [{ role: 'user', content: text }]
+            });
+            return res.json({ promptVersion, prompt: text, output: content, model });
+        } catch (error) {
+            logger.error('Error dry-running prompt', { promptVersion, error: error.message });
+            return res.status(502).json({ error: error.message, promptVersion, prompt: text });
+        }
+    });
+
+    router.get('/cache', async (req, res) => {
+        try {
+            return res.json(await getResponseCacheStats());
+        } catch (error) {
+            logger.error('Error reading cache stats', { error: error.message });
+            return res.status(500).json({ error: 'An error occurred while reading the cache' });
+        }
+    });
+
+    // Purges the whole response cache, or one route's entries with ?route=/api/grammar
+    router.delete('/cache', async (req, res) => {
+        const route = req.query.route || null;
+        try {
+            const purged = await purgeResponseCache({ route });
+            return res.json({ route, purged });
+        } catch (error) {
+            logger.error('Error purging cache', { error: error.message });
+            return res.status(500).json({ error: 'An error occurred while purging the cache' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,125 @@
+import express from 'express';
+import fs from 'fs-extra';
+import { canAccessStudent } from '../lib/auth.js';
+import { toPublicJob } from '../lib/jobs.js';
+import { TASK_TYPES } from '../lib/prompts.js';
+import { prepareTranscriptionPages, UploadError } from '../lib/uploads.js';
+import { checkWebhookUrl, WebhookUrlError } from '../lib/webhooks.js';
+import { logger } from '../lib/logger.js';
+
+// Webhooks are POSTed from the server, so only http(s) URLs of public hosts
+// (or of JOB_WEBHOOK_ALLOWED_HOSTS) are accepted; see lib/webhooks.js
+async function parseWebhookUrl(value) {
+    if (!value) return { url: null };
+    try {
+        return { url: await checkWebhookUrl(value) };
+    } catch (error) {
+        if (error instanceof WebhookUrlError) return { error: error.message };
+        throw error;
+    }
+}
+
+function accepted(req, res, job) {
+    return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/${job.id}`
+    });
+}
+
+async function removeUploads(files = []) {
+    await Promise.all(files.map(file =>
+        fs.remove(file.path).catch(err => logger.error('Failed to delete temp file', { filePath: file.path, error: err }))
+    ));
+}
+
+// --- Background Job Endpoints ---
+// Slow work is queued and answered with 202 + a job id. Clients poll
+// GET /api/jobs/:id or pass `webhookUrl` to be called when the job finishes.
+export function createJobsRouter(queue, { transcriberUpload, uploadDir, enforceQuota, enforceReportQuota, resolveStudentId, readPromptTask }) {
+    const router = express.Router();
+
+    // Uploads are validated and normalised before queueing so bad files are
+    // rejected straight away. The normalised pages stay on disk until the job
+    // finishes or expires; the original uploads are removed.
+    router.post('/transcription', enforceQuota('expensive'), transcriberUpload, async (req, res) => {
+        const files = req.files;
+
+        if (!files || files.length === 0) {
+            return res.status(400).json({ error: 'No image files were uploaded.' });
+        }
+        const webhook = await parseWebhookUrl(req.body.webhookUrl);
+        if (webhook.error) {
+            await removeUploads(files);
+            return res.status(400).json({ error: webhook.error });
+        }
+
+        let pages = [];
+        try {
+            pages = await prepareTranscriptionPages(files, { pageOrder: req.body.pageOrder, outputDir: uploadDir });
+            const job = await queue.enqueue({
+                type: 'transcription',
+                input: { files: pages },
+                files: pages.map(page => page.path),
+                userId: req.user.id,
+                webhookUrl: webhook.url
+            });
+            return accepted(req, res, job);
+        } catch (error) {
+            await removeUploads(pages);
+            if (error instanceof UploadError) {
+                return res.status(error.status).json({ error: error.message, files: error.files });
+            }
+            logger.error('Error queueing transcription job', { error: error.message });
+            return res.status(500).json({ error: 'An error occurred while queueing the transcription' });
+        } finally {
+            await removeUploads(files);
+        }
+    });
+
+    // Criteria, grammar edits and improvements for one submission, charged
+    // like a report route
+    router.post('/report', enforceReportQuota, async (req, res) => {
+        const { taskType, topic, essay } = req.body;
+
+        if (!TASK_TYPES.includes(taskType)) {
+            return res.status(400).json({ error: `taskType must be one of: ${TASK_TYPES.join(', ')}` });
+        }
+        if (!topic || !essay) {
+            return res.status(400).json({ error: 'Missing topic or essay in request body' });
+        }
+        const promptTask = readPromptTask(req, res, taskType);
+        if (!promptTask) return;
+        const webhook = await parseWebhookUrl(req.body.webhookUrl);
+        if (webhook.error) {
+            return res.status(400).json({ error: webhook.error });
+        }
+        const studentId = resolveStudentId(req, res);
+        if (!studentId) return;
+
+        try {
+            const job = await queue.enqueue({
+                type: 'report',
+                input: { taskType, promptTask, topic, essay, studentId },
+                userId: req.user.id,
+                webhookUrl: webhook.url
+            });
+            return accepted(req, res, job);
+        } catch (error) {
+            logger.error('Error queueing report job', { error: error.message });
+            return res.status(500).json({ error: 'An error occurred while queueing the report' });
+        }
+    });
+
+    // Jobs are visible to whoever created them, and to teachers and admins.
+    // Anyone else gets a 404 so job ids can't be probed.
+    router.get('/:id', (req, res) => {
+        const job = queue.get(req.params.id);
+        if (!job || !canAccessStudent(req.user, job.userId)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        return res.json(toPublicJob(job));
+    });
+
+    return router;
+}
@@ -0,0 +1,75 @@
+import express from 'express';
+import { canAccessStudent } from '../lib/auth.js';
+import { logger } from '../lib/logger.js';
+
+const MAX_PAGE_SIZE = 100;
+
+function parsePaging(query) {
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || 20));
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+    return { limit, offset };
+}
+
+function forbidden(res) {
+    return res.status(403).json({ error: 'Not allowed to view this student\'s submissions' });
+}
+
+// --- Submission History & Progress Endpoints ---
+// Students can only see their own history; teachers and admins can see anyone's.
+export function createSubmissionsRouter(store) {
+    const router = express.Router();
+
+    router.get('/students/:studentId/submissions', async (req, res) => {
+        const { studentId } = req.params;
+        if (!canAccessStudent(req.user, studentId)) return forbidden(res);
+        const { limit, offset } = parsePaging(req.query);
+        const taskType = req.query.taskType || null;
+
+        try {
+            const submissions = await store.listSubmissions(studentId, { taskType, limit, offset });
+            return res.json({ studentId, limit, offset, submissions });
+        } catch (error) {
+            logger.error('Error listing submissions', { studentId, error: error.message });
+            return res.status(500).json({ error: 'An error occurred while listing submissions' });
+        }
+    });
+
+    router.get('/students/:studentId/trends', async (req, res) => {
+        const { studentId } = req.params;
+        if (!canAccessStudent(req.user, studentId)) return forbidden(res);
+        const taskType = req.query.taskType || null;
+
+        try {
+            const points = await store.getTrends(studentId, { taskType });
+            // Group into one chronological series per criterion. The writing
+            // tasks share their criteria; speaking bands are on a different
+            // test, so unless filtered to speaking they get their own series
+            // (`speaking.LR`, `speaking.Overall`...).
+            const criteria = {};
+            for (const { criterion, ...point } of points) {
+                const key = point.taskType === 'speaking' && taskType !== 'speaking' ? `speaking.${criterion}` : criterion;
+                (criteria[key] ||= []).push(point);
+            }
+            return res.json({ studentId, taskType, criteria });
+        } catch (error) {
+            logger.error('Error computing trends', { studentId, error: error.message });
+            return res.status(500).json({ error: 'An error occurred while computing band trends' });
+        }
+    });
+
+    router.get('/submissions/:id', async (req, res) => {
+        try {
+            const submission = await store.getSubmission(req.params.id);
+            // Someone else's submission is reported as missing rather than forbidden
+            if (!submission || !canAccessStudent(req.user, submission.studentId)) {
+                return res.status(404).json({ error: 'Submission not found' });
+            }
+            return res.json(submission);
+        } catch (error) {
+            logger.error('Error fetching submission', { submissionId: req.params.id, error: error.message });
+            return res.status(500).json({ error: 'An error occurred while fetching the submission' });
+        }
+    });
+
+    return router;
+}
@@ -1,12 +1,34 @@
+// Load .env before any module below reads process.env
+import 'dotenv/config';
 import express from 'express';
-import dotenv from 'dotenv';
 import cors from 'cors';
 import multer from 'multer';
 import fs from 'fs-extra'; // Use fs-extra
 import path from 'path';
 import { fileURLToPath } from 'url';
-
-dotenv.config();
+import { requestScoreReport, ScoringValidationError, CRITERIA } from './lib/scoring.js';
+import { createResponder, collect } from './lib/respond.js';
+import { createStore } from './lib/storage/index.js';
+import { createSubmissionsRouter } from './routes/submissions.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createAuthMiddleware, canAccessStudent } from './lib/auth.js';
+import { createQuotaEnforcer } from './lib/quota.js';
+import { buildGrammarEdits, parseGrammarResponse, GrammarParseError } from './lib/grammar.js';
+import { parseImprovements, renderImprovementTable, ImprovementParseError } from './lib/improvements.js';
+import { TASK_TYPES, ESSAY_TYPES, LETTER_TYPES, resolvePromptTask, buildCriteriaPrompt, buildImprovementPrompt, buildGrammarPrompt, buildGrammarEditsPrompt, buildSpeakingPrompt } from './lib/prompts.js';
+import { transcribeImages, TranscriptionInputError } from './lib/transcription.js';
+import { prepareTranscriptionPages, handleUploadErrors, UploadError } from './lib/uploads.js';
+import { createJobQueue } from './lib/jobs.js';
+import { transcribeAudio, SpeechToTextError } from './lib/speech/index.js';
+import { analyzeText, applyScoreCaps, getScoreCaps } from './lib/analytics.js';
+import { SPEAKING_CRITERIA, SPEAKING_PARTS, computeSpeechStats, combineSpeechStats } from './lib/speaking.js';
+import { createJobsRouter } from './routes/jobs.js';
+import { withResponseCache } from './lib/cache/index.js';
+import { exportReport, ReportExportError } from './lib/export/index.js';
+import { logger } from './lib/logger.js';
+import { requestObservability, metricsHandler } from './lib/observability.js';
+import { findUnroutableTasks } from './lib/providers/index.js';
+import { MODEL_TASKS } from './lib/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,9 +44,9 @@ const uploadPath = path.resolve(__dirname, UPLOAD_DIR);
 // Ensure the upload directory exists synchronously on startup
 try {
     fs.ensureDirSync(uploadPath);
-    console.log(`Upload directory ensured at: ${uploadPath}`);
+    logger.info('Upload directory ensured', { uploadPath });
 } catch (err) {
-    console.error(`Error ensuring upload directory ${uploadPath}:`, err);
+    logger.error('Error ensuring upload directory', { uploadPath, error: err });
     process.exit(1); // Exit if we can't create the essential upload directory
 }
 // --- End Local Upload Configuration ---
@@ -36,15 +58,18 @@ const corsOptions = {
         if (!origin || allowedOrigins.includes(origin)) {
             callback(null, true);
         } else {
-            console.warn(`CORS denied for origin: ${origin}`);
+            logger.warn('CORS denied', { origin });
             callback(new Error('Not allowed by CORS'));
         }
     },
     methods: 'POST, GET, OPTIONS',
-    allowedHeaders: 'Content-Type, Authorization',
+    allowedHeaders: 'Content-Type, Authorization, X-Request-Id',
+    exposedHeaders: 'Retry-After, X-RateLimit-Remaining, X-Quota-Remaining, X-Request-Id',
     credentials: true
 };
 
+// First, so every log line and metric carries the request id
+app.use(requestObservability());
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions)); // Pre-flight requests
 app.use(express.json());
@@ -55,336 +80,703 @@ const storage = multer.diskStorage({
         cb(null, uploadPath); // Save files to the resolved upload path
     },
     filename: function (req, file, cb) {
-        // Generate a unique filename: fieldname-timestamp-random-extension
+        // Generate a unique filename: fieldname-timestamp-random. The client's
+        // extension is not used; uploads are identified by their content.
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+        cb(null, file.fieldname + '-' + uniqueSuffix);
     }
 });
 
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+const AUDIO_MAX_BYTES = parseInt(process.env.AUDIO_MAX_BYTES || String(25 * 1024 * 1024), 10);
+
 const upload = multer({
     storage: storage,
-    limits: { files: 3, fileSize: 10 * 1024 * 1024 } // Limit 3 files, 10MB each
+    limits: { files: 3, fileSize: IMAGE_MAX_BYTES } // Limit 3 files, 10MB each
+});
+
+// Handwriting scans: images or PDFs, validated by prepareTranscriptionPages()
+const transcriberUpload = handleUploadErrors(upload.array('images', 3), { maxFileBytes: IMAGE_MAX_BYTES });
+
+// Speaking recordings: one file per part. Browsers record audio/webm or
+// audio/mp4; some send a webm recording as video/webm. Anything else fails the
+// request with a 415 naming the file (see handleUploadErrors), rather than
+// being dropped as if that part had not been sent.
+const audioUpload = multer({
+    storage: storage,
+    limits: { files: 3, fileSize: AUDIO_MAX_BYTES },
+    fileFilter: function (req, file, cb) {
+        if (file.mimetype.startsWith('audio/') || file.mimetype === 'video/webm') return cb(null, true);
+        const message = `Unsupported file type ${file.mimetype}. Upload an audio recording.`;
+        cb(new UploadError(415, 'Unsupported file type', [{ field: file.fieldname, name: file.originalname, status: 415, error: message }]));
+    }
 });
 // --- End Multer Configuration ---
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const SITE_URL = process.env.SITE_URL || 'http://localhost:3000';
-const SITE_NAME = process.env.SITE_NAME || 'Coolify Backend';
+// --- Submission Storage ---
+const store = await createStore({ baseDir: __dirname });
+
+// --- Auth & Quotas ---
+// All /api routes require a user; each AI route also declares its cost class
+const authenticate = createAuthMiddleware(store);
+const enforceQuota = createQuotaEnforcer(store);
+app.use('/api', authenticate);
+
+// Teachers may submit on behalf of a student by passing `studentId`;
+// everyone else's submissions are recorded against their own account.
+function resolveStudentId(req, res) {
+    const requested = req.body.studentId;
+    if (!requested) return req.user.id;
+    if (!canAccessStudent(req.user, String(requested))) {
+        res.status(403).json({ error: 'Not allowed to submit on behalf of another student' });
+        return null;
+    }
+    return String(requested);
+}
+
+// Shared error handling for the model-backed helpers below
+function sendModelError(out, route, error, fallbackMessage) {
+    if (out.signal.aborted) {
+        logger.info('Client disconnected; upstream request cancelled', { route });
+    } else {
+        logger.error('Error processing request', { route, error });
+    }
+    return out.fail(500, { error: error.message || fallbackMessage });
+}
+
+// The helpers below write to a responder (`out`, see lib/respond.js) rather
+// than to `res`, so the same code serves JSON routes, /stream routes and
+// background jobs.
+
+// Model results go through the response cache (lib/cache). Only the model
+// call is cached: analytics, score caps, parsing against the submitted text
+// and saving the submission still run on every request. `compute(signal)`
+// must use the signal it is given, since its call may be shared.
+async function cachedModelResult(out, { route, task, promptVersion, input }, compute) {
+    const { value, cached } = await withResponseCache({ route, task, promptVersion, input, signal: out.signal }, compute);
+    if (cached) out.progress('cached');
+    return { ...value, cached };
+}
+
+// The `complete(messages)` callback for requestScoreReport. Announces each
+// criterion as its key shows up in the streamed JSON.
+function scoringCompletion(out, task, criteria, { signal } = {}) {
+    return messages => {
+        let seen = '';
+        const announced = new Set();
+        return out.complete(task, {
+            response_format: { type: "json_object" },
+            messages,
+        }, {
+            signal,
+            onToken: (text) => {
+                seen += text;
+                for (const key of criteria) {
+                    if (!announced.has(key) && seen.includes(`"${key}"`)) {
+                        announced.add(key);
+                        out.progress('scoring', { criterion: key });
+                    }
+                }
+            }
+        });
+    };
+}
+
+// Runs a criteria prompt through the scoring schema (with repair/retry), caps
+// any score the text analytics rule out, saves the report to the submission
+// history and sends it with the analytics, or sends a 502 listing the fields
+// that failed. Streams progress per criterion on /stream routes.
+async function sendScoreReport(out, { route, taskType, promptTask, topic, essay, studentId }) {
+    const task = `criteria:${taskType}`;
+    out.progress('started', { task, promptTask });
+    const analytics = analyzeText(essay, { taskType, topic });
+    out.progress('analysed', { wordCount: analytics.wordCount });
+
+    let result;
+    let promptVersion;
+    try {
+        const prompt = buildCriteriaPrompt(promptTask, topic, essay, analytics);
+        promptVersion = prompt.promptVersion;
+        result = await cachedModelResult(out, { route, task, promptVersion, input: { promptTask, topic, essay } }, signal =>
+            requestScoreReport(
+                scoringCompletion(out, task, CRITERIA, { signal }),
+                prompt.text,
+                { onRepair: (fields) => out.progress('repairing', { fields }) }
+            )
+        );
+    } catch (error) {
+        if (error instanceof ScoringValidationError) {
+            logger.error('Invalid score report from AI service', { route, fields: error.fields, raw: error.raw });
+            return out.fail(502, { error: error.message, fields: error.fields });
+        }
+        return sendModelError(out, route, error, `An error occurred while processing the ${taskType} criteria`);
+    }
 
-async function callOpenRouter(payload) {
-    // Check if API key is present
-    if (!OPENROUTER_API_KEY) {
-        console.error('OpenRouter API Key is missing.');
-        throw new Error('Server configuration error: API Key missing.');
+    const { model, cached } = result;
+    const { report, adjustments } = applyScoreCaps(result.report, analytics);
+    if (adjustments.length > 0) {
+        logger.info('Capped scores', { route, adjustments: adjustments.map(({ criterion, from, to }) => ({ criterion, from, to })) });
     }
 
+    let submissionId = null;
     try {
-        const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
-                "HTTP-Referer": SITE_URL,
-                "X-Title": SITE_NAME,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify(payload)
+        // A storage failure should not cost the student their feedback
+        const saved = await store.saveSubmission({
+            studentId,
+            taskType,
+            topic,
+            text: essay,
+            report: { ...report, adjustments, promptTask, promptVersion },
+            model
         });
+        submissionId = saved.id;
+    } catch (error) {
+        logger.error('Failed to save submission', { route, error: error.message });
+    }
+    return out.send({ ...report, adjustments, analytics, model, promptTask, promptVersion, cached, submissionId });
+}
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('OpenRouter API Error:', response.status, errorText);
-            // Try to parse error JSON from OpenRouter if possible
-            let detail = errorText;
-            try {
-                 const errorJson = JSON.parse(errorText);
-                 detail = errorJson.error?.message || errorText;
-            } catch(e) {
-                // Ignore parsing error, use raw text
-            }
-            throw new Error(`OpenRouter API error: ${response.status} - ${detail}`);
+// Asks for sentence improvements as JSON, keeps only rows whose original
+// sentence really is in the submitted text, and sends them either as JSON
+// (`format: 'json'`) or as a server-rendered, escaped HTML table ('html').
+async function sendImprovements(out, { route, taskType, promptTask, topic, essay, format }) {
+    const task = `improvement:${taskType}`;
+    out.progress('started', { task, promptTask });
+
+    try {
+        const { text, promptVersion } = buildImprovementPrompt(promptTask, topic, essay);
+        const { content, model, cached } = await cachedModelResult(out, { route, task, promptVersion, input: { promptTask, topic, essay } }, signal =>
+            out.complete(task, {
+                response_format: { type: "json_object" },
+                messages: [{"role": "user", "content": text}],
+            }, { signal })
+        );
+        out.progress('validating');
+        const { improvements, rejected } = parseImprovements(content, essay);
+        if (rejected > 0) {
+            logger.warn('Dropped improvement rows that did not match the submitted text', { route, rejected });
         }
 
-        const data = await response.json();
-        if (!data.choices || data.choices.length === 0 || !data.choices[0].message?.content) {
-             console.error('Invalid OpenRouter response structure:', JSON.stringify(data, null, 2));
-             throw new Error('Invalid response structure from OpenRouter API');
+        if (format === 'json') {
+            return out.send({ improvements, rejected, model, promptVersion, cached });
         }
-        return data.choices[0].message.content;
+        return out.send({ improvement: renderImprovementTable(improvements), model, promptVersion, cached });
     } catch (error) {
-        console.error('Error calling OpenRouter:', error);
-        // Re-throw the error to be caught by the endpoint handler
-        throw error;
+        if (error instanceof ImprovementParseError) {
+            logger.error('Invalid improvements from AI service', { route, raw: error.raw });
+            return out.fail(502, { error: error.message });
+        }
+        return sendModelError(out, route, error, `An error occurred while processing the ${taskType} improvement`);
     }
 }
 
-// --- API Endpoints ---
+// Sends the corrected text ('text'), or with 'edits' also each change with
+// offsets into the submitted essay, a category and a reason, plus per-category counts.
+async function sendGrammar(out, { route, essay, format }) {
+    out.progress('started', { task: 'grammar' });
 
-app.post('/api/essaycriteria', async (req, res) => {
-    const { topic, essay } = req.body;
+    try {
+        if (format === 'edits') {
+            const { text, promptVersion } = buildGrammarEditsPrompt(essay);
+            const { content, model, cached } = await cachedModelResult(out, { route, task: 'grammar', promptVersion, input: { essay } }, signal =>
+                out.complete('grammar', {
+                    response_format: { type: "json_object" },
+                    messages: [{"role": "user", "content": text}],
+                }, { signal })
+            );
+            out.progress('diffing');
+            const { corrected, modelEdits } = parseGrammarResponse(content);
+            const { edits, counts } = buildGrammarEdits(essay, corrected, modelEdits);
+            return out.send({ correction: corrected, edits, counts, model, promptVersion, cached });
+        }
 
-    if (!topic || !essay) {
-        return res.status(400).json({ error: 'Missing topic or essay in request body' });
+        const { text, promptVersion } = buildGrammarPrompt(essay);
+        const { content, model, cached } = await cachedModelResult(out, { route, task: 'grammar', promptVersion, input: { essay } }, signal =>
+            out.complete('grammar', {
+                messages: [{"role": "user", "content": text}],
+            }, { signal })
+        );
+        return out.send({ correction: content, model, promptVersion, cached });
+    } catch (error) {
+        if (error instanceof GrammarParseError) {
+            logger.error('Invalid grammar edits from AI service', { route, raw: error.raw });
+            return out.fail(502, { error: error.message });
+        }
+        return sendModelError(out, route, error, 'An error occurred while processing the grammar correction');
     }
+}
 
-    const prompt = `I will give your an IELTS Essay topic along with the student's full response to it. You are going to provide detailed feedback to this essay in the exact specified format. Your output is going to be a 5 object json:\n\n\nCC (stands for Coherence and Cohesion)\nTA (stands for Task Achievement)\nLR (stands for Lexical Resource)\nGRA (stands for Grammatical Range and Accuracy)\nOverall\n\nThe first four objects here are going to hold 3 keys each: 'score' , 'explanation', and 'examples'.\n\n\nThe 'score' is going to hold a numerical value from 0 to 9 representing the band score.\nThe 'explanation' is going to be a 2-3 sentence explanation for why that score was given. This part should not mention any specific examples.\nThe 'examples' is going to include an array providing specific examples from the essay response quoting verbatim the part from the essay that illistrates the explanation mentioned in the 'explanation' part. The example array should always have the quote followed by a description of the issue. Do no create separate entries for quote and description please. \n\nThe overall is simply a sum of the four 'scores' divided by four.\n\nOne thing to keep in mind is that a score of 5 or less is to be given in any of the four criteria only in cases of essay being incomplete or text being incomprehensible. It is extremely rare for a student to not get at least a 6 on the 4 crtierias. \n\nHere is the essay topic with sample answer:\n\n${topic}\n\n${essay}`;
+// Transcribes each recorded part, measures pace, fillers and pauses from the
+// word timestamps and scores the whole test on FC/LR/GRA/P. `parts` are
+// [{ part, question, file }] in test order.
+async function sendSpeakingReport(out, { route, parts, studentId }) {
+    out.progress('started', { task: 'speaking' });
 
+    const transcribed = [];
     try {
-        const responseContent = await callOpenRouter({
-            model: "microsoft/phi-3.5-mini-128k-instruct",
-            response_format: { type: "json_object" },
-            messages: [{"role": "user", "content": prompt}],
-        });
-        try {
-            const jsonResponse = JSON.parse(responseContent);
-            return res.json(jsonResponse);
-        } catch (parseError) {
-            console.error("Failed to parse OpenRouter JSON response:", parseError);
-            console.error("Raw response:", responseContent); // Log the raw response
-            return res.status(500).json({ error: 'Received invalid JSON response from AI service' });
+        for (const { part, question, file } of parts) {
+            out.progress('transcribing', { part });
+            const transcript = await transcribeAudio(file.path, { signal: out.signal });
+            transcribed.push({ part, question, transcript });
         }
     } catch (error) {
-        console.error('Error processing /api/essaycriteria:', error.message);
-        return res.status(500).json({ error: error.message || 'An error occurred while processing the essay criteria' });
+        if (error instanceof SpeechToTextError) {
+            logger.error('Speech-to-text failed', { route, error: error.message });
+            return out.fail(error.status, { error: error.message });
+        }
+        return sendModelError(out, route, error, 'An error occurred while transcribing the recording');
     }
-});
 
-app.post('/api/grammar', async (req, res) => {
-    const { essay } = req.body;
+    const stats = combineSpeechStats(transcribed.map(p => p.transcript));
+    const summary = transcribed.map(({ part, question, transcript }) => ({
+        part,
+        question,
+        transcript: transcript.text,
+        stats: computeSpeechStats(transcript)
+    }));
 
-    if (!essay) {
-        return res.status(400).json({ error: 'Missing essay in request body' });
+    if (stats.wordCount === 0) {
+        return out.fail(422, { error: 'No speech was recognised in the recording', parts: summary });
     }
 
-    const prompt = `Output a grammatically corrected version of this text. Your output should not include anything before or after. Only the corrected grammatical version is expected.\n\nHere is the text:\n\n${essay}`;
+    let result;
+    let promptVersion;
+    try {
+        const prompt = buildSpeakingPrompt(summary, stats);
+        promptVersion = prompt.promptVersion;
+        result = await requestScoreReport(
+            scoringCompletion(out, 'speaking', SPEAKING_CRITERIA),
+            prompt.text,
+            { criteria: SPEAKING_CRITERIA, onRepair: (fields) => out.progress('repairing', { fields }) }
+        );
+    } catch (error) {
+        if (error instanceof ScoringValidationError) {
+            logger.error('Invalid score report from AI service', { route, fields: error.fields, raw: error.raw });
+            return out.fail(502, { error: error.message, fields: error.fields });
+        }
+        return sendModelError(out, route, error, 'An error occurred while processing the speaking criteria');
+    }
 
+    const { report, model } = result;
+    const transcriptionModel = transcribed[0].transcript.model;
+    let submissionId = null;
     try {
-        const responseContent = await callOpenRouter({
-            model: "microsoft/phi-3.5-mini-128k-instruct",
-            messages: [{"role": "user", "content": prompt}],
+        const saved = await store.saveSubmission({
+            studentId,
+            taskType: 'speaking',
+            topic: summary.map(p => p.question).filter(Boolean).join('\n') || null,
+            text: summary.map(p => `Part ${p.part}: ${p.transcript}`).join('\n\n'),
+            report: { ...report, speech: stats, promptVersion },
+            model
         });
-        return res.json({ correction: responseContent });
+        submissionId = saved.id;
     } catch (error) {
-        console.error('Error processing /api/grammar:', error.message);
-        return res.status(500).json({ error: error.message || 'An error occurred while processing the grammar correction' });
+        logger.error('Failed to save submission', { route, error: error.message });
     }
-});
+    return out.send({ ...report, stats, parts: summary, model, transcriptionModel, promptVersion, submissionId });
+}
 
-app.post('/api/graphcriteria', async (req, res) => {
-    const { topic, essay } = req.body;
+// The routes that serve each report section on its own. A report's sections
+// are cached under these, so a report reuses the results of earlier separate
+// calls for the same essay and leaves its own behind for later ones.
+const REPORT_SECTION_ROUTES = {
+    essay: { criteria: '/api/essaycriteria', improvements: '/api/improvement' },
+    graph: { criteria: '/api/graphcriteria', improvements: '/api/improvementgraph' },
+    letter: { criteria: '/api/lettercriteria', improvements: '/api/improvementletter' }
+};
 
+// Runs criteria, grammar edits and sentence improvements in parallel. A failed
+// section is reported in place ({ error, status }) instead of failing the report.
+async function generateReport({ taskType, promptTask, topic, essay, studentId }, { signal } = {}) {
+    const routes = REPORT_SECTION_ROUTES[taskType];
+    // Jobs queued before prompt tasks existed only carry the task type
+    promptTask ??= resolvePromptTask(taskType);
+    const [criteria, grammar, improvements] = await Promise.allSettled([
+        collect(out => sendScoreReport(out, { route: routes.criteria, taskType, promptTask, topic, essay, studentId }), { signal }),
+        collect(out => sendGrammar(out, { route: '/api/grammar', essay, format: 'edits' }), { signal }),
+        collect(out => sendImprovements(out, { route: routes.improvements, taskType, promptTask, topic, essay, format: 'json' }), { signal })
+    ]);
+
+    const section = (settled) => settled.status === 'fulfilled'
+        ? settled.value
+        : { error: settled.reason.message, status: settled.reason.status ?? 500 };
+
+    return {
+        taskType,
+        promptTask,
+        topic,
+        essay,
+        criteria: section(criteria),
+        grammar: section(grammar),
+        improvements: section(improvements),
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// Validates the { topic, essay } body shared by the writing routes
+function requireTopicAndEssay(req, res) {
+    const { topic, essay } = req.body;
     if (!topic || !essay) {
-        return res.status(400).json({ error: 'Missing topic or essay in request body' });
+        res.status(400).json({ error: 'Missing topic or essay in request body' });
+        return false;
     }
+    return true;
+}
 
-    const prompt = `I will give your an IELTS graph (Academic Task 1) topic along with the student's full response to it. You are going to provide detailed feedback to this task in the exact specified format. Your output is going to be a 5 object json:\n\n\nCC (stands for Coherence and Cohesion)\nTA (stands for Task Achievement)\nLR (stands for Lexical Resource)\nGRA (stands for Grammatical Range and Accuracy)\nOverall\n\nThe first four objects here are going to hold 3 keys each: 'score' , 'explanation', and 'examples'.\n\n\nThe 'score' is going to hold a numerical value from 0 to 9 representing the band score.\nThe 'explanation' is going to be a 2-3 sentence explanation for why that score was given. This part should not mention any specific examples.\nThe 'examples' is going to include an array providing specific examples from the graph response quoting verbatim the part from the graph that illustrates the explanation mentioned in the 'explanation' part. The example array should always have the quote followed by a description of the issue. Do no create separate entries for quote and description please. \n\nThe overall is simply a sum of the four 'scores' divided by four.\n\nOne thing to keep in mind is that a score of 5 or less is to be given in any of the four criteria only in cases of graph being incomplete or text being incomprehensible. It is extremely rare for a student to not get at least a 6 on the 4 crtierias. \n\nHere is the graph topic with sample answer:\n\n${topic}\n\n${essay}\n\nNote: Do not prefix your response with anything. Your output must be a pure json in the suggested schema.`;
-
-    try {
-        const responseContent = await callOpenRouter({
-            model: "nousresearch/hermes-3-llama-3.1-405b",
-            response_format: { type: "json_object" },
-            messages: [{"role": "user", "content": prompt}],
+// Picks the prompt registry entry from the optional `essayType` (essay
+// routes) or `letterType` (letter routes) in the body
+function readPromptTask(req, res, taskType) {
+    const { essayType = null, letterType = null } = req.body;
+    const promptTask = resolvePromptTask(taskType, { essayType, letterType });
+    if (!promptTask) {
+        res.status(400).json({
+            error: `Invalid ${essayType ? 'essayType' : 'letterType'} for a ${taskType} task. essayType (essay tasks only): ${ESSAY_TYPES.join(', ')}. letterType (letter tasks only): ${LETTER_TYPES.join(', ')}.`
         });
-         try {
-            const jsonResponse = JSON.parse(responseContent);
-            return res.json(jsonResponse);
-        } catch (parseError) {
-            console.error("Failed to parse OpenRouter JSON response:", parseError);
-            console.error("Raw response:", responseContent);
-            return res.status(500).json({ error: 'Received invalid JSON response from AI service' });
-        }
-    } catch (error) {
-        console.error('Error processing /api/graphcriteria:', error.message);
-        return res.status(500).json({ error: error.message || 'An error occurred while processing the graph criteria' });
+        return null;
     }
-});
+    return promptTask;
+}
 
-app.post('/api/improvement', async (req, res) => {
-    const { essay } = req.body;
+function readFormat(req, res, allowed, fallback) {
+    const format = req.body.format || req.query.format || fallback;
+    if (!allowed.includes(format)) {
+        res.status(400).json({ error: `format must be ${allowed.map(f => `'${f}'`).join(' or ')}` });
+        return null;
+    }
+    return format;
+}
 
+// --- API Endpoints ---
+// Every writing route also answers on `<route>/stream` with Server-Sent Events
+// (progress, token, result and error events; see lib/respond.js).
+
+const CRITERIA_ROUTES = [
+    ['/api/essaycriteria', 'essay', 'standard'],
+    ['/api/graphcriteria', 'graph', 'expensive'],
+    ['/api/lettercriteria', 'letter', 'standard']
+];
+
+for (const [route, taskType, costClass] of CRITERIA_ROUTES) {
+    app.post([route, `${route}/stream`], enforceQuota(costClass), async (req, res) => {
+        if (!requireTopicAndEssay(req, res)) return;
+        const promptTask = readPromptTask(req, res, taskType);
+        if (!promptTask) return;
+
+        const studentId = resolveStudentId(req, res);
+        if (!studentId) return;
+
+        const { topic, essay } = req.body;
+        return sendScoreReport(createResponder(req, res), { route, taskType, promptTask, topic, essay, studentId });
+    });
+}
+
+// Text analytics on their own. No model call, so no quota either.
+app.post('/api/analytics', (req, res) => {
+    const { taskType, topic, essay } = req.body;
+
+    if (!TASK_TYPES.includes(taskType)) {
+        return res.status(400).json({ error: `taskType must be one of: ${TASK_TYPES.join(', ')}` });
+    }
     if (!essay) {
         return res.status(400).json({ error: 'Missing essay in request body' });
     }
+    const analytics = analyzeText(essay, { taskType, topic });
+    return res.json({ analytics, caps: getScoreCaps(analytics) });
+});
 
-    const prompt = `I want you to write a sentence by sentence improved rephrase for this essay excluding the first and last paragraph. Your output should be an unstyled <table> element (do not wrap it in code block) with left column being 'Your Sentence' and right one 'Improved Sentence'. Each row should be a single sentence from the essay - the original one and the improved. Obviosuly, there are going to be as many rows as the sentences in main body paragraphs.\n\n\nHere is the full essay response:\n\n${essay}`;
+app.post(['/api/grammar', '/api/grammar/stream'], enforceQuota('cheap'), async (req, res) => {
+    const { essay } = req.body;
 
-    try {
-        const responseContent = await callOpenRouter({
-            model: "microsoft/phi-3.5-mini-128k-instruct",
-            messages: [{"role": "user", "content": prompt}],
-        });
-        return res.json({ improvement: responseContent });
-    } catch (error) {
-        console.error('Error processing /api/improvement:', error.message);
-        return res.status(500).json({ error: error.message || 'An error occurred while processing the essay improvement' });
+    if (!essay) {
+        return res.status(400).json({ error: 'Missing essay in request body' });
     }
+    const format = readFormat(req, res, ['text', 'edits'], 'text');
+    if (!format) return;
+
+    return sendGrammar(createResponder(req, res), { route: '/api/grammar', essay, format });
 });
 
-app.post('/api/improvementgraph', async (req, res) => {
+// The essay route has always accepted a missing topic
+app.post(['/api/improvement', '/api/improvement/stream'], enforceQuota('standard'), async (req, res) => {
     const { topic, essay } = req.body;
 
-    if (!topic || !essay) {
-        return res.status(400).json({ error: 'Missing topic or essay in request body' });
+    if (!essay) {
+        return res.status(400).json({ error: 'Missing essay in request body' });
     }
+    const format = readFormat(req, res, ['html', 'json'], 'html');
+    if (!format) return;
+    const promptTask = readPromptTask(req, res, 'essay');
+    if (!promptTask) return;
+
+    return sendImprovements(createResponder(req, res), { route: '/api/improvement', taskType: 'essay', promptTask, topic, essay, format });
+});
+
+for (const [route, taskType] of [['/api/improvementgraph', 'graph'], ['/api/improvementletter', 'letter']]) {
+    app.post([route, `${route}/stream`], enforceQuota('standard'), async (req, res) => {
+        if (!requireTopicAndEssay(req, res)) return;
+        const format = readFormat(req, res, ['html', 'json'], 'html');
+        if (!format) return;
+        const promptTask = readPromptTask(req, res, taskType);
+        if (!promptTask) return;
+
+        const { topic, essay } = req.body;
+        return sendImprovements(createResponder(req, res), { route, taskType, promptTask, topic, essay, format });
+    });
+}
+
+// --- Combined Reports ---
+// Criteria, grammar edits and sentence improvements in one call, run in
+// parallel. A section that fails is returned as { error, status } alongside
+// the others; only a report with no section at all is an error.
+//
+// A report takes a slot of each cost class its sections use as separate
+// requests (criteria, improvements, grammar), so it is never a cheaper way to
+// get any of them. Sections already cached for the essay still cost their
+// slot, as they would on their own routes.
+const REPORT_ROUTES = [
+    ['/api/essayreport', 'essay'],
+    ['/api/graphreport', 'graph'],
+    ['/api/letterreport', 'letter']
+];
+
+const REPORT_QUOTAS = new Map(CRITERIA_ROUTES.map(([, taskType, costClass]) =>
+    [taskType, [enforceQuota(costClass), enforceQuota('standard'), enforceQuota('cheap')]]));
+
+// For report jobs, whose task type is only known from the body. An unknown
+// task type is let through for the route to reject.
+function enforceReportQuota(req, res, next) {
+    const quotas = REPORT_QUOTAS.get(req.body?.taskType);
+    if (!quotas) return next();
+    const run = (index) => index === quotas.length ? next() : quotas[index](req, res, () => run(index + 1));
+    return run(0);
+}
+
+for (const [route, taskType] of REPORT_ROUTES) {
+    app.post(route, ...REPORT_QUOTAS.get(taskType), async (req, res) => {
+        if (!requireTopicAndEssay(req, res)) return;
+        const promptTask = readPromptTask(req, res, taskType);
+        if (!promptTask) return;
+
+        const studentId = resolveStudentId(req, res);
+        if (!studentId) return;
+
+        const out = createResponder(req, res);
+        const { topic, essay } = req.body;
+        const report = await generateReport({ taskType, promptTask, topic, essay, studentId }, { signal: out.signal });
+        const sections = [report.criteria, report.grammar, report.improvements];
+        if (sections.every(section => section.error)) {
+            logger.error('Every report section failed', { route, errors: sections.map(section => section.error) });
+            return out.fail(502, { error: 'Could not generate any part of the report', ...report });
+        }
+        return out.send(report);
+    });
+}
 
-    const prompt = `I want you to write a sentence by sentence improved rephrase for this graph excluding the initial salutation and closing remarks. Your output should be an unstyled <table> element (do not wrap it in code block) with left column being 'Your Sentence' and right one 'Improved Sentence'. Each row should be a single sentence from the graph - the original one and the improved. Obviosuly, there are going to be as many rows as the sentences. \n\n  Here is the topic:\n  ${topic}\n\nHere is the full graph response:\n\n${essay}`;
+// Renders a report from a report route (or a finished report job) as a
+// printable PDF or DOCX. The report is sent back in the body, so nothing is
+// looked up and no model is called.
+app.post('/api/report/export', async (req, res) => {
+    const format = readFormat(req, res, ['pdf', 'docx'], 'pdf');
+    if (!format) return;
 
     try {
-        const responseContent = await callOpenRouter({
-            model: "microsoft/phi-3.5-mini-128k-instruct",
-            messages: [{"role": "user", "content": prompt}],
+        const { buffer, contentType, filename } = await exportReport(req.body.report, format);
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`
         });
-        return res.json({ improvement: responseContent });
+        return res.send(buffer);
     } catch (error) {
-        console.error('Error processing /api/improvementgraph:', error.message);
-        return res.status(500).json({ error: error.message || 'An error occurred while processing the graph improvement' });
+        if (error instanceof ReportExportError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Error exporting report', { format, error });
+        return res.status(500).json({ error: 'An error occurred while exporting the report' });
     }
 });
 
-app.post('/api/improvementletter', async (req, res) => {
-    const { topic, essay } = req.body;
+// --- Transcriber Endpoint (Modified) ---
+// Synchronous version; large uploads should use POST /api/jobs/transcription.
+// `images` takes up to 3 JPEG/PNG/WebP/HEIC photos or PDFs; the optional
+// `pageOrder` ("2,1,3") sets the order pages are sent to the model.
+app.post('/api/transcriber', enforceQuota('expensive'), transcriberUpload, async (req, res) => {
+    const files = req.files; // Array of file objects from multer
 
-    if (!topic || !essay) {
-        return res.status(400).json({ error: 'Missing topic or essay in request body' });
+    if (!files || files.length === 0) {
+        return res.status(400).json({ error: 'No image files were uploaded.' });
     }
 
-    const prompt = `I want you to write a sentence by sentence improved rephrase for this letter excluding the initial salutation and closing remarks. Your output should be an unstyled <table> element (do not wrap it in code block) with left column being 'Your Sentence' and right one 'Improved Sentence'. Each row should be a single sentence from the letter - the original one and the improved. Obviosuly, there are going to be as many rows as the sentences. The most important thing - your improvements must align with the tone of the letter. Do not suggest formal sentences for informal letter topic or informal sentences for formal.\n\n  Here is the topic:\n  ${topic}\n\nHere is the full letter response:\n\n${essay}`;
+    // Keep track of paths for cleanup: the uploads plus the normalised pages
+    const filePaths = files.map(f => f.path);
 
     try {
-        const responseContent = await callOpenRouter({
-            model: "microsoft/phi-3.5-mini-128k-instruct",
-            messages: [{"role": "user", "content": prompt}],
-        });
-        return res.json({ improvement: responseContent });
+        const pages = await prepareTranscriptionPages(files, { pageOrder: req.body.pageOrder, outputDir: uploadPath });
+        filePaths.push(...pages.map(page => page.path));
+
+        const { transcription, model, promptVersion } = await transcribeImages(pages);
+        return res.json({ transcription, model, promptVersion, pages: pages.length });
+
     } catch (error) {
-        console.error('Error processing /api/improvementletter:', error.message);
-        return res.status(500).json({ error: error.message || 'An error occurred while processing the letter improvement' });
+        if (error instanceof UploadError) {
+            return res.status(error.status).json({ error: error.message, files: error.files });
+        }
+        // Catch errors from file processing or the model call
+        logger.error('Error in transcriber endpoint', { error });
+        return res.status(500).json({ error: error.message || 'An error occurred during transcription.' });
+
+    } finally {
+        // Cleanup: Attempt to delete uploaded files regardless of success or failure
+        const cleanupPromises = filePaths.map(filePath =>
+            fs.remove(filePath).catch(err => logger.error('Failed to delete temp file', { filePath, error: err }))
+        );
+        await Promise.all(cleanupPromises);
+        logger.debug('Temporary file cleanup complete', { files: filePaths.length });
     }
 });
 
-app.post('/api/lettercriteria', async (req, res) => {
-    const { topic, essay } = req.body;
+// --- Speaking Endpoint ---
+// Multipart upload with one recording per part (`part1`, `part2`, `part3`; at
+// least one) and the optional question each answers (`question1`...).
+const SPEAKING_UPLOAD_FIELDS = SPEAKING_PARTS.map(part => ({ name: `part${part}`, maxCount: 1 }));
 
-    if (!topic || !essay) {
-        return res.status(400).json({ error: 'Missing topic or essay in request body' });
-    }
-
-    const prompt = `I will give your an IELTS letter topic along with the student's full response to it. You are going to provide detailed feedback to this task in the exact specified format. Your output is going to be a 5 object json:\n\n\nCC (stands for Coherence and Cohesion)\nTA (stands for Task Achievement)\nLR (stands for Lexical Resource)\nGRA (stands for Grammatical Range and Accuracy)\nOverall\n\nThe first four objects here are going to hold 3 keys each: 'score' , 'explanation', and 'examples'.\n\n\nThe 'score' is going to hold a numerical value from 0 to 9 representing the band score.\nThe 'explanation' is going to be a 2-3 sentence explanation for why that score was given. This part should not mention any specific examples.\nThe 'examples' is going to include an array providing specific examples from the letter response quoting verbatim the part from the letter that illistrates the explanation mentioned in the 'explanation' part. The example array should always have the quote followed by a description of the issue. Do no create separate entries for quote and description please. \n\nThe overall is simply a sum of the four 'scores' divided by four.\n\nOne thing to keep in mind is that a score of 5 or less is to be given in any of the four criteria only in cases of letter being incomplete or text being incomprehensible. It is extremely rare for a student to not get at least a 6 on the 4 crtierias. \n\nHere is the letter topic with sample answer:\n\n${topic}\n\n${essay}`;
+app.post(['/api/speaking', '/api/speaking/stream'], enforceQuota('expensive'), handleUploadErrors(audioUpload.fields(SPEAKING_UPLOAD_FIELDS), { maxFileBytes: AUDIO_MAX_BYTES }), async (req, res) => {
+    const uploaded = Object.values(req.files || {}).flat();
 
     try {
-        const responseContent = await callOpenRouter({
-            model: "microsoft/phi-3.5-mini-128k-instruct",
-            response_format: { type: "json_object" },
-            messages: [{"role": "user", "content": prompt}],
-        });
-         try {
-            const jsonResponse = JSON.parse(responseContent);
-            return res.json(jsonResponse);
-        } catch (parseError) {
-            console.error("Failed to parse OpenRouter JSON response:", parseError);
-            console.error("Raw response:", responseContent);
-            return res.status(500).json({ error: 'Received invalid JSON response from AI service' });
+        const parts = SPEAKING_PARTS
+            .filter(part => req.files?.[`part${part}`]?.length)
+            .map(part => ({
+                part,
+                question: req.body[`question${part}`] || null,
+                file: req.files[`part${part}`][0]
+            }));
+
+        if (parts.length === 0) {
+            return res.status(400).json({ error: 'No audio recordings were uploaded. Send part1, part2 and/or part3 as audio files.' });
         }
-    } catch (error) {
-        console.error('Error processing /api/lettercriteria:', error.message);
-        return res.status(500).json({ error: error.message || 'An error occurred while processing the letter criteria' });
-    }
-});
 
-// --- Transcriber Endpoint (Modified) ---
-app.post('/api/transcriber', upload.array('images', 3), async (req, res) => {
-    const files = req.files; // Array of file objects from multer
+        const studentId = resolveStudentId(req, res);
+        if (!studentId) return;
 
-    if (!files || files.length === 0) {
-        return res.status(400).json({ error: 'No image files were uploaded.' });
+        return await sendSpeakingReport(createResponder(req, res), { route: '/api/speaking', parts, studentId });
+    } finally {
+        // Recordings are only kept for as long as the request runs
+        await Promise.all(uploaded.map(file =>
+            fs.remove(file.path).catch(err => logger.error('Failed to delete temp file', { filePath: file.path, error: err }))
+        ));
     }
+});
 
-    const filePaths = files.map(f => f.path); // Keep track of paths for cleanup
+// --- Background Jobs ---
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS || String(24 * 60 * 60 * 1000), 10);
 
+const jobQueue = createJobQueue({
+    dir: path.resolve(__dirname, process.env.JOBS_DIR || 'data/jobs'),
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+    backoffMs: parseInt(process.env.JOB_BACKOFF_MS || '5000', 10),
+    ttlMs: JOB_TTL_MS,
+    webhookSecret: process.env.JOB_WEBHOOK_SECRET || null
+});
+
+jobQueue.register('transcription', async (job, { signal }) => {
     try {
-        // 1. Read files and convert to base64 data URIs
-        const imagePromises = files.map(async (file) => {
-            try {
-                const fileBuffer = await fs.readFile(file.path);
-                const base64String = fileBuffer.toString('base64');
-                return `data:${file.mimetype};base64,${base64String}`;
-            } catch (readError) {
-                console.error(`Error reading file ${file.path}:`, readError);
-                // Return null or throw, depending on how you want to handle partial failures
-                return null;
-            }
-        });
+        return await transcribeImages(job.input.files, { signal });
+    } catch (error) {
+        // Missing or unreadable uploads won't get better on retry
+        if (error instanceof TranscriptionInputError) error.permanent = true;
+        throw error;
+    }
+});
 
-        const imageDataUris = (await Promise.all(imagePromises)).filter(uri => uri !== null);
+jobQueue.register('report', async (job, { signal }) => {
+    const report = await generateReport(job.input, { signal });
+    const sections = [report.criteria, report.grammar, report.improvements];
+    // Partial reports are fine; only retry when nothing came back at all
+    if (sections.every(section => section.error)) {
+        throw new Error(`All report sections failed: ${report.criteria.error}`);
+    }
+    return report;
+});
 
-        if (imageDataUris.length === 0) {
-            // This could happen if all file reads failed
-            return res.status(500).json({ error: 'Failed to process uploaded image files.' });
+await jobQueue.start();
+
+// Uploads not owned by any job (e.g. left behind by a crash) are removed
+// once they are older than the job TTL
+async function sweepOrphanUploads() {
+    const owned = jobQueue.ownedFiles();
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const name of await fs.readdir(uploadPath)) {
+        const filePath = path.join(uploadPath, name);
+        if (owned.has(filePath)) continue;
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (stats?.isFile() && stats.mtimeMs < cutoff) {
+            await fs.remove(filePath).catch(err => logger.error('Failed to delete orphaned upload', { filePath, error: err }));
         }
+    }
+}
+sweepOrphanUploads().catch(error => logger.error('Error sweeping orphaned uploads', { error }));
 
-        // 2. Prepare payload for OpenRouter
-        const fixedQuestion = "Output a transcription of this handwritten text. Do not make any grammatical corrections from your side. However, do insert any missing punctuations. Your output is going to be a single block of text of 4 or 5 paragraphs separated by a blank line (line breaks).";
-
-        const payload = {
-            model: "meta-llama/llama-4-maverick:free", // Or appropriate vision model if needed
-            messages: [
-                {
-                    role: "user",
-                    content: [
-                        { type: "text", text: fixedQuestion },
-                        // Map data URIs into the required format
-                        ...imageDataUris.map(uri => ({
-                            type: "image_url",
-                            image_url: { url: uri }
-                        }))
-                    ]
-                }
-            ],
-            max_tokens: 1500 // Adjust as needed
-        };
+app.use('/api/jobs', createJobsRouter(jobQueue, { transcriberUpload, uploadDir: uploadPath, enforceQuota, enforceReportQuota, resolveStudentId, readPromptTask }));
 
-        // 3. Call OpenRouter API
-        const transcription = await callOpenRouter(payload);
+app.use('/api', createSubmissionsRouter(store));
+app.use('/admin', createAdminRouter(store));
 
-        // 4. Send response
-        return res.json({ transcription });
+// --- Health, Readiness & Metrics ---
+// /healthz only says the process is up. /readyz also checks the database and
+// that every model task has a configured provider, and fails once shutdown
+// has started so load balancers stop sending traffic first.
+let shuttingDown = false;
 
-    } catch (error) {
-        // Catch errors from file processing or OpenRouter call
-        console.error('Error in transcriber endpoint:', error);
-        return res.status(500).json({ error: error.message || 'An error occurred during transcription.' });
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
 
-    } finally {
-        // 5. Cleanup: Attempt to delete uploaded files regardless of success or failure
-        console.log(`Cleaning up temporary files: ${filePaths.join(', ')}`);
-        const cleanupPromises = filePaths.map(filePath =>
-            fs.remove(filePath).catch(err => console.error(`Failed to delete temp file ${filePath}:`, err))
-        );
-        await Promise.all(cleanupPromises);
-        console.log("Temporary file cleanup complete.");
+app.get('/readyz', async (req, res) => {
+    const checks = {};
+    try {
+        await store.ping();
+        checks.storage = 'ok';
+    } catch (error) {
+        logger.error('Readiness check: storage unavailable', { error });
+        checks.storage = 'unavailable';
     }
-});
+    const unroutable = findUnroutableTasks(MODEL_TASKS);
+    checks.models = unroutable.length === 0 ? 'ok' : `no provider for: ${unroutable.join(', ')}`;
+    checks.shutdown = shuttingDown ? 'in progress' : 'no';
 
-// Basic check route
-app.get('/', (req, res) => {
-    res.status(200).send('IELTS Backend API is running.');
+    const ready = checks.storage === 'ok' && unroutable.length === 0 && !shuttingDown;
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
 });
 
+app.get('/metrics', metricsHandler);
+
 // --- Server Start ---
-app.listen(port, () => {
-    console.log(`Server listening on port ${port}`);
-    console.log(`Allowed CORS origins: ${allowedOrigins.join(', ')}`);
-    console.log(`Upload directory configured at: ${uploadPath}`);
+const server = app.listen(port, () => {
+    logger.info('Server listening', { port, allowedOrigins, uploadPath });
 });
 
 // --- Graceful Shutdown (Optional but Recommended) ---
-process.on('SIGINT', () => {
-    console.log('SIGINT signal received: closing HTTP server');
-    // Perform cleanup if needed before exiting
-    process.exit(0);
-});
+// In-flight requests get SHUTDOWN_TIMEOUT_MS to finish; /readyz reports 503
+// meanwhile. Running jobs are left to be picked up on the next start.
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10);
+
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`${signal} signal received: closing HTTP server`);
+    jobQueue.stop();
+
+    const exit = () => {
+        store.close();
+        process.exit(0);
+    };
+    server.close(exit);
+    setTimeout(() => {
+        logger.warn('Shutdown timed out; exiting with requests still open', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+        exit();
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+}
 
-process.on('SIGTERM', () => {
-    console.log('SIGTERM signal received: closing HTTP server');
-    // Perform cleanup if needed before exiting
-    process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));